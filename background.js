@@ -8,64 +8,479 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 class StorageManager {
     // Storage keys
     static KEYS = {
-        USER_DATA: 'userData',
+        USER_DATA: 'userData', // Legacy single-profile blob, migrated on first read
+        PROFILES: 'profiles',
+        ACTIVE_PROFILE: 'activeProfileId',
         FIELD_MAPPINGS: 'fieldMappings',
-        SETTINGS: 'settings'
+        SITE_RULES: 'siteRules',
+        SETTINGS: 'settings',
+        VAULT: 'vault',
+        WIZARD_SESSIONS: 'wizardSessions',
+        FILL_RESULTS: 'fillResults'
     };
 
-    // Default field mappings based on design document
-    static DEFAULT_FIELD_MAPPINGS = {
-        "firstName": ["firstName", "fname", "given_name", "first", "givenName"],
-        "lastName": ["lastName", "lname", "surname", "last", "familyName"],
-        "email": ["email", "email_address", "e_mail", "emailAddress"],
-        "phone": ["phone", "telephone", "tel", "phoneNumber", "mobile", "phone_number"],
-        "street": ["street", "address", "address1", "streetAddress", "street_address"],
-        "city": ["city", "locality", "town"],
-        "state": ["state", "region", "province", "stateProvince"],
-        "zipCode": ["zipCode", "zip", "postalCode", "postal_code", "zip_code"],
-        "country": ["country", "countryName"],
-        "company": ["company", "organization", "employer"],
-        "website": ["website", "url", "homepage"],
-        "dateOfBirth": ["dateOfBirth", "dob", "birthDate", "date of birth", "birth date"],
-        "fullName": ["fullName", "full_name", "full name", "name", "your name", "complete name"],
-        "gender": ["gender", "sex"],
-        "mobile": ["mobile", "mobile_number", "mobile number", "cell", "cellular"],
-        "linkedIn": ["linkedIn", "linkedin", "linkedin_profile", "linkedin profile"],
-        "jobTitle": ["jobTitle", "job_title", "position"],
-        "department": ["department", "dept"],
-        "workPhone": ["workPhone", "work_phone", "businessPhone"],
-        "comments": ["comments", "notes", "remarks"],
-        "bio": ["bio", "biography", "about"]
-    };
+    // Name given to the profile created on first run or from legacy data
+    static DEFAULT_PROFILE_NAME = 'Default';
+
+    static MAX_PROFILE_NAME_LENGTH = 50;
+
+    // Tail of the queue that profile state changes run on
+    static profileQueue = Promise.resolve();
 
     // Default settings
     static DEFAULT_SETTINGS = {
         autoHighlight: true,
-        animationSpeed: 300
+        animationSpeed: 300,
+        vaultIdleMinutes: 15,
+        // Keep filling fields the page reveals after the initial fill, for this many seconds
+        watchNewFields: false,
+        watchNewFieldsSeconds: 10,
+        // Multi-step form sessions end after this long without a fill
+        wizardTimeoutMinutes: 30,
+        sanitization: FileParser.DEFAULT_SANITIZATION
     };
 
-    // Store user data from uploaded file
-    static async storeUserData(userData) {
-        try {
+    // Generate a unique profile id
+    static generateProfileId() {
+        return `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Build a new profile record
+    static createProfileRecord(name, data = {}, records = null) {
+        const now = Date.now();
+        const profile = {
+            id: this.generateProfileId(),
+            name: name,
+            data: data,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.applyUserData(profile, data, records);
+        return profile;
+    }
+
+    // Replace a profile's data, keeping every record when a file holds more than one
+    static applyUserData(profile, userData, records = null) {
+        delete profile.lastUsedRecordIndex;
+        delete profile.lastUsedAt;
+        if (profile.batch) {
+            profile.batch.log = [];
+            profile.batch.complete = false;
+        }
+
+        if (Array.isArray(records) && records.length > 1) {
+            profile.records = records;
+            profile.recordIndex = 0;
+            profile.data = { ...records[0] };
+        } else {
+            delete profile.records;
+            delete profile.recordIndex;
+            profile.data = userData;
+        }
+    }
+
+    // Build a failed response, flagging vault lock errors so callers can prompt for the passphrase
+    static failure(error) {
+        const response = { success: false, error: error.message };
+        if (error.message === VaultManager.LOCKED_MESSAGE) {
+            response.errorType = 'LOCKED';
+        }
+        return response;
+    }
+
+    // Load all profiles and the active profile id, migrating legacy userData if needed
+    static async loadProfileState() {
+        const result = await browserAPI.storage.local.get([
+            this.KEYS.PROFILES,
+            this.KEYS.ACTIVE_PROFILE,
+            this.KEYS.USER_DATA,
+            this.KEYS.VAULT
+        ]);
+
+        let profiles = result[this.KEYS.VAULT]
+            ? await VaultManager.decryptProfiles(result[this.KEYS.VAULT])
+            : result[this.KEYS.PROFILES];
+        let activeProfileId = result[this.KEYS.ACTIVE_PROFILE];
+        let changed = false;
+
+        if (!profiles || typeof profiles !== 'object' || Object.keys(profiles).length === 0) {
+            const legacyData = result[this.KEYS.USER_DATA];
+            const profile = this.createProfileRecord(
+                this.DEFAULT_PROFILE_NAME,
+                legacyData && typeof legacyData === 'object' ? legacyData : {}
+            );
+            profiles = { [profile.id]: profile };
+            changed = true;
+        }
+
+        if (!activeProfileId || !profiles[activeProfileId]) {
+            activeProfileId = Object.keys(profiles)[0];
+            changed = true;
+        }
+
+        const state = { profiles, activeProfileId };
+
+        if (changed) {
+            await this.saveProfileState(state);
+        }
+
+        return state;
+    }
+
+    // Run a task that reads and writes the profile state. The popup, upload window, batch advance
+    // and restore can all change profiles at once, so these tasks run one at a time
+    static queueProfileTask(task) {
+        const run = this.profileQueue.then(task);
+        this.profileQueue = run.catch(() => {});
+        return run;
+    }
+
+    // Load the profile state, let change edit it, then save it; returns what change returns.
+    // Nothing is saved when change throws
+    static updateProfileState(change) {
+        return this.queueProfileTask(async () => {
+            const state = await this.loadProfileState();
+            const result = await change(state);
+            await this.saveProfileState(state);
+            return result;
+        });
+    }
+
+    // Persist all profiles and the active profile id, encrypting profiles when the vault is enabled
+    static async saveProfileState(state) {
+        if (await VaultManager.isEnabled()) {
             await browserAPI.storage.local.set({
-                [this.KEYS.USER_DATA]: userData
+                [this.KEYS.VAULT]: await VaultManager.encryptProfiles(state.profiles),
+                [this.KEYS.ACTIVE_PROFILE]: state.activeProfileId
+            });
+            await browserAPI.storage.local.remove([this.KEYS.PROFILES, this.KEYS.USER_DATA]);
+            return;
+        }
+
+        await browserAPI.storage.local.set({
+            [this.KEYS.PROFILES]: state.profiles,
+            [this.KEYS.ACTIVE_PROFILE]: state.activeProfileId
+        });
+        await browserAPI.storage.local.remove([this.KEYS.USER_DATA]);
+    }
+
+    // Validate a profile name against the existing profiles
+    static validateProfileName(name, profiles, ignoreId = null) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Profile name is required');
+        }
+
+        const cleanName = name.trim();
+        if (cleanName.length > this.MAX_PROFILE_NAME_LENGTH) {
+            throw new Error(`Profile name must be ${this.MAX_PROFILE_NAME_LENGTH} characters or fewer`);
+        }
+
+        const duplicate = Object.values(profiles).some(profile =>
+            profile.id !== ignoreId && profile.name.toLowerCase() === cleanName.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error(`A profile named "${cleanName}" already exists`);
+        }
+
+        return cleanName;
+    }
+
+    // Summarize a profile without its data
+    static summarizeProfile(profile) {
+        return {
+            id: profile.id,
+            name: profile.name,
+            fieldCount: Object.keys(DataPath.flatten(profile.data || {})).length,
+            recordCount: profile.records ? profile.records.length : 1,
+            recordIndex: profile.recordIndex || 0,
+            lastUsedRecordIndex: profile.lastUsedRecordIndex ?? null,
+            lastUsedAt: profile.lastUsedAt || null,
+            batchMode: profile.records && profile.batch?.enabled ? profile.batch.advanceOn : null,
+            createdAt: profile.createdAt,
+            updatedAt: profile.updatedAt
+        };
+    }
+
+    // List all profiles and the active profile id
+    static async getProfiles() {
+        try {
+            const state = await this.loadProfileState();
+            const profiles = Object.values(state.profiles)
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .map(profile => this.summarizeProfile(profile));
+            return { success: true, data: { profiles, activeProfileId: state.activeProfileId } };
+        } catch (error) {
+            console.error('Error retrieving profiles:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Create a new profile, optionally with data, and make it active
+    static async createProfile(name, data = {}, records = null) {
+        try {
+            const profile = await this.updateProfileState(state => {
+                const cleanName = this.validateProfileName(name, state.profiles);
+                const profile = this.createProfileRecord(cleanName, data, records);
+
+                state.profiles[profile.id] = profile;
+                state.activeProfileId = profile.id;
+                return profile;
+            });
+
+            console.log('Profile created:', profile.name);
+            return { success: true, data: this.summarizeProfile(profile) };
+        } catch (error) {
+            console.error('Error creating profile:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Rename an existing profile
+    static async renameProfile(profileId, name) {
+        try {
+            const profile = await this.updateProfileState(state => {
+                const profile = state.profiles[profileId];
+                if (!profile) {
+                    throw new Error('Profile not found');
+                }
+
+                profile.name = this.validateProfileName(name, state.profiles, profileId);
+                return profile;
+            });
+
+            return { success: true, data: this.summarizeProfile(profile) };
+        } catch (error) {
+            console.error('Error renaming profile:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Copy an existing profile's data into a new active profile
+    static async duplicateProfile(profileId, name) {
+        try {
+            const profile = await this.updateProfileState(state => {
+                const source = state.profiles[profileId];
+                if (!source) {
+                    throw new Error('Profile not found');
+                }
+
+                const cleanName = this.validateProfileName(name || `${source.name} (copy)`, state.profiles);
+                const copy = JSON.parse(JSON.stringify(source));
+                const profile = { ...copy, ...this.createProfileRecord(cleanName, copy.data || {}) };
+
+                state.profiles[profile.id] = profile;
+                state.activeProfileId = profile.id;
+                return profile;
+            });
+
+            return { success: true, data: this.summarizeProfile(profile) };
+        } catch (error) {
+            console.error('Error duplicating profile:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Delete a profile (the last remaining profile cannot be deleted)
+    static async deleteProfile(profileId) {
+        try {
+            const activeProfileId = await this.updateProfileState(state => {
+                if (!state.profiles[profileId]) {
+                    throw new Error('Profile not found');
+                }
+                if (Object.keys(state.profiles).length === 1) {
+                    throw new Error('Cannot delete the only profile');
+                }
+
+                delete state.profiles[profileId];
+                if (state.activeProfileId === profileId) {
+                    state.activeProfileId = Object.keys(state.profiles)[0];
+                }
+                return state.activeProfileId;
+            });
+
+            // Drop site rules that pointed at the deleted profile
+            const rulesResult = await this.getSiteRules();
+            if (rulesResult.success) {
+                const remainingRules = rulesResult.data.filter(rule => rule.profileId !== profileId);
+                if (remainingRules.length !== rulesResult.data.length) {
+                    await browserAPI.storage.local.set({ [this.KEYS.SITE_RULES]: remainingRules });
+                }
+            }
+
+            return { success: true, data: { activeProfileId } };
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Switch the active profile
+    static async setActiveProfile(profileId) {
+        try {
+            const profile = await this.updateProfileState(state => {
+                if (!state.profiles[profileId]) {
+                    throw new Error('Profile not found');
+                }
+
+                state.activeProfileId = profileId;
+                return state.profiles[profileId];
+            });
+
+            return { success: true, data: this.summarizeProfile(profile) };
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Store user data into a profile (the active profile by default)
+    static async storeUserData(userData, profileId = null, records = null) {
+        try {
+            const profile = await this.updateProfileState(state => {
+                const profile = state.profiles[profileId || state.activeProfileId];
+                if (!profile) {
+                    throw new Error('Profile not found');
+                }
+
+                this.applyUserData(profile, userData, records);
+                profile.updatedAt = Date.now();
+                return profile;
             });
+
             console.log('User data stored successfully');
-            return { success: true };
+            return { success: true, profile: this.summarizeProfile(profile) };
         } catch (error) {
             console.error('Error storing user data:', error);
-            return { success: false, error: error.message };
+            return this.failure(error);
         }
     }
 
-    // Retrieve user data
-    static async getUserData() {
+    // Retrieve user data from a profile (the active profile by default)
+    static async getUserData(profileId = null) {
         try {
-            const result = await browserAPI.storage.local.get([this.KEYS.USER_DATA]);
-            return { success: true, data: result[this.KEYS.USER_DATA] || {} };
+            const state = await this.loadProfileState();
+            const profile = state.profiles[profileId || state.activeProfileId];
+            if (!profile) {
+                throw new Error('Profile not found');
+            }
+
+            return {
+                success: true,
+                data: profile.data || {},
+                profile: this.summarizeProfile(profile)
+            };
         } catch (error) {
             console.error('Error retrieving user data:', error);
-            return { success: false, error: error.message };
+            return this.failure(error);
+        }
+    }
+
+    // List every record in a profile along with the selected and last used record
+    static async getRecords(profileId = null) {
+        try {
+            const state = await this.loadProfileState();
+            const profile = state.profiles[profileId || state.activeProfileId];
+            if (!profile) {
+                throw new Error('Profile not found');
+            }
+
+            return {
+                success: true,
+                data: {
+                    records: profile.records || [profile.data || {}],
+                    recordIndex: profile.recordIndex || 0,
+                    lastUsedRecordIndex: profile.lastUsedRecordIndex ?? null,
+                    lastUsedAt: profile.lastUsedAt || null,
+                    batch: BatchManager.summarizeBatch(profile)
+                },
+                profile: this.summarizeProfile(profile)
+            };
+        } catch (error) {
+            console.error('Error retrieving records:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Point a multi-record profile at one of its records
+    static applyRecordIndex(profile, index) {
+        profile.recordIndex = index;
+        profile.data = { ...profile.records[index] };
+    }
+
+    // Choose which record of a multi-record profile fills forms
+    static async selectRecord(profileId, index) {
+        try {
+            const profile = await this.updateProfileState(state => {
+                const profile = state.profiles[profileId || state.activeProfileId];
+                if (!profile) {
+                    throw new Error('Profile not found');
+                }
+                if (!profile.records || !Number.isInteger(index) || index < 0 || index >= profile.records.length) {
+                    throw new Error('Record not found');
+                }
+
+                this.applyRecordIndex(profile, index);
+                return profile;
+            });
+
+            return { success: true, data: this.summarizeProfile(profile) };
+        } catch (error) {
+            console.error('Error selecting record:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Remember which record last filled a form
+    static async markRecordUsed(profileId) {
+        try {
+            await this.updateProfileState(state => {
+                const profile = state.profiles[profileId];
+                if (profile && profile.records) {
+                    profile.lastUsedRecordIndex = profile.recordIndex || 0;
+                    profile.lastUsedAt = Date.now();
+                }
+            });
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error recording last used record:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Replace one record of a profile after it was reviewed, keeping the record selection and batch state
+    static async updateRecord(profileId, index, data) {
+        try {
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('Record data is required');
+            }
+
+            const profile = await this.updateProfileState(state => {
+                const profile = state.profiles[profileId || state.activeProfileId];
+                if (!profile) {
+                    throw new Error('Profile not found');
+                }
+
+                if (profile.records) {
+                    if (!Number.isInteger(index) || index < 0 || index >= profile.records.length) {
+                        throw new Error('Record not found');
+                    }
+                    profile.records[index] = data;
+                    if ((profile.recordIndex || 0) === index) {
+                        profile.data = { ...data };
+                    }
+                } else {
+                    profile.data = data;
+                }
+
+                profile.updatedAt = Date.now();
+                return profile;
+            });
+
+            return { success: true, data: this.summarizeProfile(profile) };
+        } catch (error) {
+            console.error('Error updating record:', error);
+            return this.failure(error);
         }
     }
 
@@ -79,7 +494,7 @@ class StorageManager {
             return { success: true };
         } catch (error) {
             console.error('Error storing field mappings:', error);
-            return { success: false, error: error.message };
+            return this.failure(error);
         }
     }
 
@@ -87,11 +502,86 @@ class StorageManager {
     static async getFieldMappings() {
         try {
             const result = await browserAPI.storage.local.get([this.KEYS.FIELD_MAPPINGS]);
-            const mappings = result[this.KEYS.FIELD_MAPPINGS] || this.DEFAULT_FIELD_MAPPINGS;
+            const mappings = result[this.KEYS.FIELD_MAPPINGS] || FieldMappingRegistry.getDefaultMappings();
             return { success: true, data: mappings };
         } catch (error) {
             console.error('Error retrieving field mappings:', error);
-            return { success: false, error: error.message };
+            return this.failure(error);
+        }
+    }
+
+    // Store site rules that bind URL patterns to profiles
+    static async storeSiteRules(rules) {
+        try {
+            if (!Array.isArray(rules)) {
+                throw new Error('Site rules must be a list');
+            }
+
+            const state = await this.loadProfileState();
+            const cleanRules = rules.map((rule, index) => {
+                const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+                if (pattern === '') {
+                    throw new Error(`Site rule ${index + 1} has an empty pattern`);
+                }
+                SiteRuleMatcher.compile(pattern);
+
+                if (!state.profiles[rule.profileId]) {
+                    throw new Error(`Site rule "${pattern}" points to an unknown profile`);
+                }
+
+                return {
+                    id: rule.id || `rule_${Date.now().toString(36)}_${index}`,
+                    pattern: pattern,
+                    profileId: rule.profileId
+                };
+            });
+
+            await browserAPI.storage.local.set({
+                [this.KEYS.SITE_RULES]: cleanRules
+            });
+            console.log('Site rules stored successfully');
+            return { success: true, data: cleanRules };
+        } catch (error) {
+            console.error('Error storing site rules:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Retrieve site rules (empty list if none stored)
+    static async getSiteRules() {
+        try {
+            const result = await browserAPI.storage.local.get([this.KEYS.SITE_RULES]);
+            return { success: true, data: result[this.KEYS.SITE_RULES] || [] };
+        } catch (error) {
+            console.error('Error retrieving site rules:', error);
+            return this.failure(error);
+        }
+    }
+
+    // Pick the profile for a URL: first matching site rule, otherwise the active profile
+    static async resolveProfileForUrl(url) {
+        try {
+            const state = await this.loadProfileState();
+            const rulesResult = await this.getSiteRules();
+            if (!rulesResult.success) {
+                throw new Error(rulesResult.error);
+            }
+
+            const validRules = rulesResult.data.filter(rule => state.profiles[rule.profileId]);
+            const rule = SiteRuleMatcher.findMatch(validRules, url);
+            const profileId = rule ? rule.profileId : state.activeProfileId;
+
+            return {
+                success: true,
+                data: {
+                    rule: rule,
+                    profileId: profileId,
+                    profile: this.summarizeProfile(state.profiles[profileId])
+                }
+            };
+        } catch (error) {
+            console.error('Error resolving profile for URL:', error);
+            return this.failure(error);
         }
     }
 
@@ -101,70 +591,1196 @@ class StorageManager {
             await browserAPI.storage.local.set({
                 [this.KEYS.SETTINGS]: settings
             });
+            VaultManager.setIdleMinutes(settings.vaultIdleMinutes);
             console.log('Settings stored successfully');
             return { success: true };
         } catch (error) {
-            console.error('Error storing settings:', error);
-            return { success: false, error: error.message };
+            console.error('Error storing settings:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Retrieve settings (returns defaults if none stored)
+    static async getSettings() {
+        try {
+            const result = await browserAPI.storage.local.get([this.KEYS.SETTINGS]);
+            const settings = { ...this.DEFAULT_SETTINGS, ...(result[this.KEYS.SETTINGS] || {}) };
+            return { success: true, data: settings };
+        } catch (error) {
+            console.error('Error retrieving settings:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Clear all stored data (for cleanup)
+    static async clearAllData() {
+        try {
+            await browserAPI.storage.local.clear();
+            await VaultManager.lock();
+            console.log('All data cleared successfully');
+            return { success: true };
+        } catch (error) {
+            console.error('Error clearing data:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Get storage usage information
+    static async getStorageInfo() {
+        try {
+            const usage = await browserAPI.storage.local.getBytesInUse();
+            const quota = browserAPI.storage.local.QUOTA_BYTES || 5242880; // 5MB default
+            return {
+                success: true,
+                data: {
+                    used: usage,
+                    quota: quota,
+                    available: quota - usage,
+                    percentUsed: (usage / quota) * 100
+                }
+            };
+        } catch (error) {
+            console.error('Error getting storage info:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Handle storage quota exceeded
+    static async handleQuotaExceeded() {
+        try {
+            console.warn('Storage quota exceeded, attempting cleanup');
+            // Clear old user data but keep settings and mappings
+            await browserAPI.storage.local.remove([this.KEYS.USER_DATA]);
+            return { success: true, message: 'Storage cleaned up successfully' };
+        } catch (error) {
+            console.error('Error during storage cleanup:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Passphrase-encrypted storage for profile data.
+// Profiles are encrypted with AES-GCM using a key derived from the passphrase with PBKDF2.
+// The key only lives in memory (and session storage where available) while unlocked.
+class VaultManager {
+    static LOCKED_MESSAGE = 'Vault is locked';
+    static PBKDF2_ITERATIONS = 250000;
+    static SALT_BYTES = 16;
+    static IV_BYTES = 12;
+    static MIN_PASSPHRASE_LENGTH = 8;
+    static SESSION_KEY = 'vaultSession';
+
+    static key = null;
+    static salt = null;
+    static lockTimer = null;
+    static lockAt = null;
+    static idleMinutes = StorageManager.DEFAULT_SETTINGS.vaultIdleMinutes;
+
+    // Encode bytes as base64
+    static bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    // Decode base64 into bytes
+    static base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    // Derive an AES-GCM key from a passphrase
+    static async deriveKey(passphrase, salt, iterations = this.PBKDF2_ITERATIONS) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Encrypt a JSON-serializable value
+    static async encryptValue(value, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+
+        return {
+            iv: this.bytesToBase64(iv),
+            ciphertext: this.bytesToBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    // Decrypt a value produced by encryptValue (fails on a wrong key)
+    static async decryptValue(payload, key) {
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToBytes(payload.iv) },
+                key,
+                this.base64ToBytes(payload.ciphertext)
+            );
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            throw new Error('Incorrect passphrase or corrupted data');
+        }
+    }
+
+    // Check whether encrypted storage is turned on
+    static async isEnabled() {
+        const result = await browserAPI.storage.local.get([StorageManager.KEYS.VAULT]);
+        return !!result[StorageManager.KEYS.VAULT];
+    }
+
+    // Check whether the vault key is available, restoring it from session storage if needed
+    static async isUnlocked() {
+        if (!this.key) {
+            await this.restoreSession();
+        }
+        return !!this.key;
+    }
+
+    // Decrypt the stored profiles record
+    static async decryptProfiles(record) {
+        if (!(await this.isUnlocked())) {
+            throw new Error(this.LOCKED_MESSAGE);
+        }
+
+        return this.decryptValue(record, this.key);
+    }
+
+    // Encrypt profiles into a storable record
+    static async encryptProfiles(profiles) {
+        if (!(await this.isUnlocked())) {
+            throw new Error(this.LOCKED_MESSAGE);
+        }
+
+        const encrypted = await this.encryptValue(profiles, this.key);
+        return {
+            version: 1,
+            salt: this.bytesToBase64(this.salt),
+            iterations: this.PBKDF2_ITERATIONS,
+            ...encrypted
+        };
+    }
+
+    // Turn on encrypted storage for the existing profiles
+    static async enable(passphrase) {
+        if (await this.isEnabled()) {
+            throw new Error('Vault is already enabled');
+        }
+        if (typeof passphrase !== 'string' || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        // The background page is an event page; without session storage the key is lost each time it unloads
+        if (!browserAPI.storage.session) {
+            throw new Error('The vault needs Firefox 115 or later');
+        }
+
+        await StorageManager.queueProfileTask(async () => {
+            const state = await StorageManager.loadProfileState();
+            await this.loadIdleMinutes();
+
+            this.salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+            this.key = await this.deriveKey(passphrase, this.salt);
+            await this.persistSession();
+
+            await browserAPI.storage.local.set({
+                [StorageManager.KEYS.VAULT]: await this.encryptProfiles(state.profiles)
+            });
+            await browserAPI.storage.local.remove([StorageManager.KEYS.PROFILES]);
+        });
+
+        console.log('Vault enabled');
+    }
+
+    // Turn off encrypted storage, writing the profiles back as plain data
+    static async disable(passphrase) {
+        await StorageManager.queueProfileTask(async () => {
+            const result = await browserAPI.storage.local.get([StorageManager.KEYS.VAULT]);
+            const record = result[StorageManager.KEYS.VAULT];
+            if (!record) {
+                throw new Error('Vault is not enabled');
+            }
+
+            const key = await this.deriveKey(passphrase, this.base64ToBytes(record.salt), record.iterations);
+            const profiles = await this.decryptValue(record, key);
+
+            await browserAPI.storage.local.set({ [StorageManager.KEYS.PROFILES]: profiles });
+            await browserAPI.storage.local.remove([StorageManager.KEYS.VAULT]);
+            await this.lock();
+        });
+
+        console.log('Vault disabled');
+    }
+
+    // Unlock the vault for this session
+    static async unlock(passphrase) {
+        const result = await browserAPI.storage.local.get([StorageManager.KEYS.VAULT]);
+        const record = result[StorageManager.KEYS.VAULT];
+        if (!record) {
+            throw new Error('Vault is not enabled');
+        }
+
+        const salt = this.base64ToBytes(record.salt);
+        const key = await this.deriveKey(passphrase, salt, record.iterations);
+
+        // Throws on a wrong passphrase
+        await this.decryptValue(record, key);
+
+        this.key = key;
+        this.salt = salt;
+        await this.loadIdleMinutes();
+        await this.persistSession();
+        this.touch();
+
+        console.log('Vault unlocked');
+    }
+
+    // Forget the key
+    static async lock() {
+        this.key = null;
+        this.salt = null;
+        this.lockAt = null;
+        clearTimeout(this.lockTimer);
+        this.lockTimer = null;
+
+        if (browserAPI.storage.session) {
+            await browserAPI.storage.session.remove([this.SESSION_KEY]);
+        }
+    }
+
+    // Restart the idle timer after user activity. Background reads and writes
+    // (page loads, follow-up passes, batch submits) must not call this
+    static touch() {
+        this.scheduleLock(Date.now() + this.idleMinutes * 60 * 1000);
+
+        if (browserAPI.storage.session) {
+            browserAPI.storage.session.get([this.SESSION_KEY]).then(result => {
+                if (result[this.SESSION_KEY]) {
+                    result[this.SESSION_KEY].lockAt = this.lockAt;
+                    return browserAPI.storage.session.set(result);
+                }
+            }).catch(error => {
+                console.warn('Failed to refresh vault session:', error.message);
+            });
+        }
+    }
+
+    // Lock the vault at the given time
+    static scheduleLock(lockAt) {
+        clearTimeout(this.lockTimer);
+        this.lockAt = lockAt;
+        this.lockTimer = setTimeout(() => {
+            console.log('Vault locked after idle timeout');
+            this.lock();
+        }, Math.max(0, lockAt - Date.now()));
+    }
+
+    // Restart the idle timer if the vault is unlocked
+    static async recordActivity() {
+        if (await this.isUnlocked()) {
+            this.touch();
+        }
+    }
+
+    // Update the idle timeout from settings
+    static setIdleMinutes(minutes) {
+        const value = Number(minutes);
+        if (!Number.isFinite(value) || value <= 0) {
+            return;
+        }
+
+        this.idleMinutes = Math.min(24 * 60, value);
+        if (this.key) {
+            this.touch();
+        }
+    }
+
+    // Read the idle timeout from settings
+    static async loadIdleMinutes() {
+        const settings = await StorageManager.getSettings();
+        if (settings.success) {
+            this.setIdleMinutes(settings.data.vaultIdleMinutes);
+        }
+    }
+
+    // Keep the key in session storage (memory only) so a suspended background page stays unlocked
+    static async persistSession() {
+        if (!browserAPI.storage.session) {
+            return;
+        }
+
+        const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', this.key));
+        await browserAPI.storage.session.set({
+            [this.SESSION_KEY]: {
+                key: this.bytesToBase64(rawKey),
+                salt: this.bytesToBase64(this.salt),
+                lockAt: Date.now() + this.idleMinutes * 60 * 1000
+            }
+        });
+    }
+
+    // Restore the key from session storage if it has not expired
+    static async restoreSession() {
+        if (!browserAPI.storage.session) {
+            return;
+        }
+
+        const result = await browserAPI.storage.session.get([this.SESSION_KEY]);
+        const session = result[this.SESSION_KEY];
+        if (!session) {
+            return;
+        }
+
+        if (session.lockAt <= Date.now()) {
+            await this.lock();
+            return;
+        }
+
+        await this.loadIdleMinutes();
+
+        this.key = await crypto.subtle.importKey(
+            'raw',
+            this.base64ToBytes(session.key),
+            { name: 'AES-GCM' },
+            true,
+            ['encrypt', 'decrypt']
+        );
+        this.salt = this.base64ToBytes(session.salt);
+        // Waking the background page is not activity; keep the lock time the session had
+        this.scheduleLock(session.lockAt);
+    }
+
+    // Report vault state for the popup
+    static async getStatus() {
+        const enabled = await this.isEnabled();
+        const unlocked = enabled && await this.isUnlocked();
+
+        return {
+            enabled: enabled,
+            unlocked: unlocked,
+            idleMinutes: this.idleMinutes,
+            lockAt: unlocked ? this.lockAt : null,
+            // Without session storage the key is lost whenever the background page unloads, so the vault cannot be enabled
+            keepsSession: !!browserAPI.storage.session
+        };
+    }
+}
+
+// Export and import of the whole extension state as one versioned JSON archive
+class BackupManager {
+    static FORMAT = 'formease-backup';
+    static VERSION = 1;
+    static RESTORE_MODES = ['merge', 'replace'];
+    // Profile fields a merge copies together, so the data, records, cursor and batch state stay consistent
+    static RECORD_FIELDS = ['data', 'records', 'recordIndex', 'lastUsedRecordIndex', 'lastUsedAt', 'batch'];
+
+    // Collect profiles, mappings, settings and site rules into an archive
+    static async createArchive(passphrase = null) {
+        const state = await StorageManager.loadProfileState();
+        const [mappingsResult, settingsResult, rulesResult] = await Promise.all([
+            StorageManager.getFieldMappings(),
+            StorageManager.getSettings(),
+            StorageManager.getSiteRules()
+        ]);
+
+        const failed = [mappingsResult, settingsResult, rulesResult].find(result => !result.success);
+        if (failed) {
+            throw new Error(failed.error);
+        }
+
+        const data = {
+            profiles: state.profiles,
+            activeProfileId: state.activeProfileId,
+            fieldMappings: mappingsResult.data,
+            settings: settingsResult.data,
+            siteRules: rulesResult.data
+        };
+
+        const archive = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: new Date().toISOString(),
+            encrypted: !!passphrase
+        };
+
+        if (!passphrase) {
+            return { ...archive, data: data };
+        }
+
+        if (passphrase.length < VaultManager.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${VaultManager.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(VaultManager.SALT_BYTES));
+        const key = await VaultManager.deriveKey(passphrase, salt);
+
+        return {
+            ...archive,
+            salt: VaultManager.bytesToBase64(salt),
+            iterations: VaultManager.PBKDF2_ITERATIONS,
+            ...(await VaultManager.encryptValue(data, key))
+        };
+    }
+
+    // Validate an archive and return its (decrypted) data
+    static async readArchive(archive, passphrase = null, mode = 'merge') {
+        if (!this.RESTORE_MODES.includes(mode)) {
+            throw new Error(`Unknown restore mode: ${mode}`);
+        }
+        if (!archive || typeof archive !== 'object' || archive.format !== this.FORMAT) {
+            throw new Error('Not a FormEase backup file');
+        }
+        if (typeof archive.version !== 'number' || archive.version > this.VERSION) {
+            throw new Error(`Unsupported backup version: ${archive.version}`);
+        }
+
+        let data = archive.data;
+        if (archive.encrypted) {
+            if (!passphrase) {
+                throw new Error('This backup is encrypted. Please enter its passphrase.');
+            }
+            const key = await VaultManager.deriveKey(
+                passphrase,
+                VaultManager.base64ToBytes(archive.salt),
+                archive.iterations
+            );
+            data = await VaultManager.decryptValue(archive, key);
+        }
+
+        if (!data || typeof data !== 'object' || !data.profiles || typeof data.profiles !== 'object') {
+            throw new Error('Backup does not contain any profiles');
+        }
+        const checked = {};
+        Object.values(data.profiles).forEach(profile => this.validateProfile(profile, checked));
+
+        return {
+            profiles: data.profiles,
+            activeProfileId: data.activeProfileId,
+            fieldMappings: data.fieldMappings && typeof data.fieldMappings === 'object' ? data.fieldMappings : {},
+            settings: data.settings && typeof data.settings === 'object' ? data.settings : {},
+            siteRules: Array.isArray(data.siteRules) ? data.siteRules : []
+        };
+    }
+
+    // Load the current state in the same shape as archive data
+    static async loadCurrentData() {
+        const archive = await this.createArchive();
+        return archive.data;
+    }
+
+    // Check a backup profile has the id, name and data the profile list and fills rely on,
+    // so old or hand-edited archives are rejected before anything is written
+    static validateProfile(profile, checked) {
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(profile) || typeof profile.id !== 'string' || profile.id === '') {
+            throw new Error('Backup has a profile without an id');
+        }
+
+        const label = typeof profile.name === 'string' ? `"${profile.name}"` : profile.id;
+        try {
+            StorageManager.validateProfileName(profile.name, checked);
+        } catch (error) {
+            throw new Error(`Backup profile ${label}: ${error.message}`);
+        }
+        if (!isObject(profile.data)) {
+            throw new Error(`Backup profile ${label} has no data`);
+        }
+        if (profile.records !== undefined && (!Array.isArray(profile.records) || !profile.records.every(isObject))) {
+            throw new Error(`Backup profile ${label} has invalid records`);
+        }
+
+        checked[profile.id] = profile;
+    }
+
+    // Find the existing profile a backup profile corresponds to (same id, else same name)
+    static findMatchingProfile(profiles, backupProfile) {
+        if (profiles[backupProfile.id]) {
+            return profiles[backupProfile.id];
+        }
+        const name = String(backupProfile.name || '').toLowerCase();
+        return Object.values(profiles).find(profile => profile.name.toLowerCase() === name) || null;
+    }
+
+    // Copy a backup profile's data and record state onto an existing profile
+    static copyProfileData(target, source) {
+        this.RECORD_FIELDS.forEach(field => {
+            if (source[field] === undefined) {
+                delete target[field];
+            } else {
+                target[field] = source[field];
+            }
+        });
+        target.updatedAt = Date.now();
+    }
+
+    // Number of records a profile holds
+    static countRecords(profile) {
+        return Array.isArray(profile.records) ? profile.records.length : 1;
+    }
+
+    // Compare two values by their JSON form
+    static isSame(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // List everything a restore would overwrite or remove, without writing anything
+    static async previewRestore(archive, passphrase, mode) {
+        const backup = await this.readArchive(archive, passphrase, mode);
+        const current = await this.loadCurrentData();
+        const conflicts = [];
+
+        Object.values(backup.profiles).forEach(profile => {
+            const existing = this.findMatchingProfile(current.profiles, profile);
+            if (existing && !this.isSame([existing.data, existing.records], [profile.data, profile.records])) {
+                const current = this.countRecords(existing);
+                const restored = this.countRecords(profile);
+                conflicts.push({
+                    type: 'profile',
+                    key: profile.name,
+                    message: `Profile "${existing.name}" exists with different data ` +
+                        `(${current} record${current === 1 ? '' : 's'} → ${restored} record${restored === 1 ? '' : 's'})`
+                });
+            }
+        });
+
+        Object.entries(backup.fieldMappings).forEach(([fieldType, aliases]) => {
+            if (current.fieldMappings[fieldType] && !this.isSame(current.fieldMappings[fieldType], aliases)) {
+                conflicts.push({
+                    type: 'mapping',
+                    key: fieldType,
+                    message: `Field mapping "${fieldType}" has different aliases`
+                });
+            }
+        });
+
+        Object.entries(backup.settings).forEach(([setting, value]) => {
+            if (setting in current.settings && !this.isSame(current.settings[setting], value)) {
+                conflicts.push({
+                    type: 'setting',
+                    key: setting,
+                    message: `Setting "${setting}": ${JSON.stringify(current.settings[setting])} → ${JSON.stringify(value)}`
+                });
+            }
+        });
+
+        backup.siteRules.forEach(rule => {
+            const existing = current.siteRules.find(currentRule => currentRule.pattern === rule.pattern);
+            const backupProfile = backup.profiles[rule.profileId];
+            const existingProfile = existing && current.profiles[existing.profileId];
+            if (existing && backupProfile && existingProfile &&
+                existingProfile.name.toLowerCase() !== String(backupProfile.name).toLowerCase()) {
+                conflicts.push({
+                    type: 'siteRule',
+                    key: rule.pattern,
+                    message: `Site rule "${rule.pattern}" points to "${existingProfile.name}" instead of "${backupProfile.name}"`
+                });
+            }
+        });
+
+        if (mode === 'replace') {
+            Object.values(current.profiles).forEach(profile => {
+                const kept = Object.values(backup.profiles).some(backupProfile =>
+                    backupProfile.id === profile.id ||
+                    String(backupProfile.name).toLowerCase() === profile.name.toLowerCase()
+                );
+                if (!kept) {
+                    conflicts.push({
+                        type: 'profile',
+                        key: profile.name,
+                        message: `Profile "${profile.name}" is not in the backup and will be deleted`
+                    });
+                }
+            });
+        }
+
+        return {
+            mode: mode,
+            createdAt: archive.createdAt,
+            encrypted: !!archive.encrypted,
+            summary: {
+                profiles: Object.keys(backup.profiles).length,
+                fieldMappings: Object.keys(backup.fieldMappings).length,
+                settings: Object.keys(backup.settings).length,
+                siteRules: backup.siteRules.length
+            },
+            conflicts: conflicts
+        };
+    }
+
+    // Write a backup into storage, replacing or merging with the current state
+    static async applyRestore(archive, passphrase, mode, preferBackup = true) {
+        const backup = await this.readArchive(archive, passphrase, mode);
+
+        if (mode === 'replace') {
+            const profiles = {};
+            Object.values(backup.profiles).forEach(profile => {
+                profiles[profile.id] = profile;
+            });
+            const activeProfileId = profiles[backup.activeProfileId]
+                ? backup.activeProfileId
+                : Object.keys(profiles)[0];
+
+            await StorageManager.queueProfileTask(() => StorageManager.saveProfileState({ profiles, activeProfileId }));
+            await browserAPI.storage.local.set({
+                [StorageManager.KEYS.FIELD_MAPPINGS]: backup.fieldMappings,
+                [StorageManager.KEYS.SITE_RULES]: backup.siteRules.filter(rule => profiles[rule.profileId])
+            });
+            await StorageManager.storeSettings({ ...StorageManager.DEFAULT_SETTINGS, ...backup.settings });
+
+            return { mode: mode, profiles: Object.keys(profiles).length };
+        }
+
+        // Merging reads the current profiles, so no other profile change may run in between
+        return StorageManager.queueProfileTask(async () => {
+            const current = await this.loadCurrentData();
+            const profileIdMap = {};
+
+            Object.values(backup.profiles).forEach(profile => {
+                const existing = this.findMatchingProfile(current.profiles, profile);
+                if (existing) {
+                    profileIdMap[profile.id] = existing.id;
+                    if (preferBackup) {
+                        this.copyProfileData(existing, profile);
+                    }
+                } else {
+                    const id = current.profiles[profile.id] ? StorageManager.generateProfileId() : profile.id;
+                    current.profiles[id] = { ...profile, id: id };
+                    profileIdMap[profile.id] = id;
+                }
+            });
+
+            const fieldMappings = preferBackup
+                ? { ...current.fieldMappings, ...backup.fieldMappings }
+                : { ...backup.fieldMappings, ...current.fieldMappings };
+
+            const settings = preferBackup
+                ? { ...current.settings, ...backup.settings }
+                : { ...backup.settings, ...current.settings };
+
+            const siteRules = [...current.siteRules];
+            backup.siteRules.forEach(rule => {
+                const profileId = profileIdMap[rule.profileId];
+                if (!profileId) {
+                    return;
+                }
+
+                const index = siteRules.findIndex(existing => existing.pattern === rule.pattern);
+                if (index === -1) {
+                    siteRules.push({ ...rule, profileId: profileId });
+                } else if (preferBackup) {
+                    siteRules[index] = { ...siteRules[index], profileId: profileId };
+                }
+            });
+
+            await StorageManager.saveProfileState({
+                profiles: current.profiles,
+                activeProfileId: current.activeProfileId
+            });
+            await browserAPI.storage.local.set({
+                [StorageManager.KEYS.FIELD_MAPPINGS]: fieldMappings,
+                [StorageManager.KEYS.SITE_RULES]: siteRules
+            });
+            await StorageManager.storeSettings(settings);
+
+            return { mode: mode, profiles: Object.keys(current.profiles).length };
+        });
+    }
+}
+
+// Batch data entry: fill one record per form and step a persisted cursor through a profile's records.
+// The cursor is the profile's selected record; each fill, skip or error is logged per row.
+class BatchManager {
+    static ADVANCE_MODES = ['fill', 'submit'];
+    static MAX_LOG_ENTRIES = 1000;
+
+    // Find a profile that has records to step through
+    static getBatchProfile(state, profileId) {
+        const profile = state.profiles[profileId || state.activeProfileId];
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+        if (!profile.records) {
+            throw new Error('Batch mode needs a profile with more than one record');
+        }
+        if (!profile.batch) {
+            profile.batch = { enabled: false, advanceOn: 'fill', complete: false, log: [] };
+        }
+        return profile;
+    }
+
+    // Describe the batch state of a profile for the popup
+    static summarizeBatch(profile) {
+        const batch = profile.batch || { enabled: false, advanceOn: 'fill', complete: false, log: [] };
+        return {
+            enabled: batch.enabled,
+            advanceOn: batch.advanceOn,
+            complete: !!batch.complete,
+            cursor: profile.recordIndex || 0,
+            total: profile.records ? profile.records.length : 1,
+            log: batch.log
+        };
+    }
+
+    // Add a row status to the log, dropping the oldest entries past the limit
+    static appendLog(batch, index, status, details = {}) {
+        batch.log.push({
+            index: index,
+            status: status,
+            fieldsFilled: details.fieldsFilled || 0,
+            message: details.message || '',
+            at: Date.now()
+        });
+        if (batch.log.length > this.MAX_LOG_ENTRIES) {
+            batch.log.splice(0, batch.log.length - this.MAX_LOG_ENTRIES);
+        }
+    }
+
+    // Latest logged status for a row, or null if it has none
+    static getRowStatus(batch, index) {
+        for (let i = batch.log.length - 1; i >= 0; i--) {
+            if (batch.log[i].index === index) {
+                return batch.log[i].status;
+            }
+        }
+        return null;
+    }
+
+    // Move the cursor to the next record, flagging the batch complete after the last one
+    static advance(profile) {
+        if (profile.recordIndex < profile.records.length - 1) {
+            StorageManager.applyRecordIndex(profile, profile.recordIndex + 1);
+        } else {
+            profile.batch.complete = true;
+        }
+    }
+
+    // Turn batch mode on or off and choose when the cursor advances
+    static async configure(profileId, enabled, advanceOn) {
+        try {
+            if (advanceOn !== undefined && !this.ADVANCE_MODES.includes(advanceOn)) {
+                throw new Error(`Batch mode must advance on one of: ${this.ADVANCE_MODES.join(', ')}`);
+            }
+
+            const profile = await StorageManager.updateProfileState(state => {
+                const profile = this.getBatchProfile(state, profileId);
+                if (advanceOn !== undefined) {
+                    profile.batch.advanceOn = advanceOn;
+                }
+                profile.batch.enabled = !!enabled;
+                return profile;
+            });
+
+            return { success: true, data: this.summarizeBatch(profile) };
+        } catch (error) {
+            console.error('Error configuring batch mode:', error);
+            return StorageManager.failure(error);
+        }
+    }
+
+    // Jump to a record; stepping forward past an unfilled row logs it as skipped
+    static async moveCursor(profileId, index) {
+        try {
+            const profile = await StorageManager.updateProfileState(state => {
+                const profile = this.getBatchProfile(state, profileId);
+                if (!Number.isInteger(index) || index < 0 || index >= profile.records.length) {
+                    throw new Error('Record not found');
+                }
+
+                const cursor = profile.recordIndex || 0;
+                if (profile.batch.enabled && index === cursor + 1 &&
+                    this.getRowStatus(profile.batch, cursor) !== 'filled') {
+                    this.appendLog(profile.batch, cursor, 'skipped');
+                }
+
+                StorageManager.applyRecordIndex(profile, index);
+                profile.batch.complete = false;
+                return profile;
+            });
+
+            return { success: true, data: this.summarizeBatch(profile) };
+        } catch (error) {
+            console.error('Error moving batch cursor:', error);
+            return StorageManager.failure(error);
+        }
+    }
+
+    // Log the outcome of a fill and advance when batch mode advances on fill.
+    // Returns the batch summary, or null when batch mode is off for the profile.
+    static recordFillResult(profileId, index, response) {
+        return StorageManager.updateProfileState(state => {
+            const profile = state.profiles[profileId];
+            if (!profile || !profile.records || !profile.batch || !profile.batch.enabled) {
+                return null;
+            }
+
+            const fieldsFilled = response.fieldsCount || response.results?.fieldsFilled || 0;
+            if (response.success && fieldsFilled > 0) {
+                this.appendLog(profile.batch, index, 'filled', { fieldsFilled });
+                if (profile.batch.advanceOn === 'fill' && profile.recordIndex === index) {
+                    this.advance(profile);
+                }
+            } else {
+                this.appendLog(profile.batch, index, 'errored', {
+                    message: response.success ? 'No fields were filled' : (response.error || 'Auto-fill failed')
+                });
+            }
+
+            return this.summarizeBatch(profile);
+        });
+    }
+
+    // Advance after the page submits a form that was filled from the current record
+    static async handleFormSubmitted(profileId, index) {
+        try {
+            const data = await StorageManager.updateProfileState(state => {
+                const profile = state.profiles[profileId];
+                if (!profile || !profile.records || !profile.batch || !profile.batch.enabled ||
+                    profile.batch.advanceOn !== 'submit' || profile.recordIndex !== index) {
+                    return null;
+                }
+
+                this.advance(profile);
+                return this.summarizeBatch(profile);
+            });
+
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error advancing batch after submit:', error);
+            return StorageManager.failure(error);
+        }
+    }
+
+    // Clear the row status log and start the batch over from the current record
+    static async clearLog(profileId) {
+        try {
+            const profile = await StorageManager.updateProfileState(state => {
+                const profile = this.getBatchProfile(state, profileId);
+                profile.batch.log = [];
+                profile.batch.complete = false;
+                return profile;
+            });
+
+            return { success: true, data: this.summarizeBatch(profile) };
+        } catch (error) {
+            console.error('Error clearing batch log:', error);
+            return StorageManager.failure(error);
+        }
+    }
+}
+
+// Multi-step form (wizard) sessions, one per site origin, so each step knows what earlier steps filled
+class WizardManager {
+    static MAX_STEPS = 100;
+    static queue = Promise.resolve();
+
+    // Origin of a page URL, or null for URLs without one
+    static getOrigin(url) {
+        try {
+            const origin = new URL(url).origin;
+            return origin === 'null' ? null : origin;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Load all sessions, dropping those idle for longer than the timeout
+    static async loadSessions() {
+        const [result, settings] = await Promise.all([
+            browserAPI.storage.local.get(StorageManager.KEYS.WIZARD_SESSIONS),
+            StorageManager.getSettings()
+        ]);
+        const sessions = result[StorageManager.KEYS.WIZARD_SESSIONS] || {};
+        const minutes = settings.success ? settings.data.wizardTimeoutMinutes : StorageManager.DEFAULT_SETTINGS.wizardTimeoutMinutes;
+        const timeout = minutes * 60 * 1000;
+
+        let expired = false;
+        Object.keys(sessions).forEach(origin => {
+            if (Date.now() - sessions[origin].updatedAt > timeout) {
+                delete sessions[origin];
+                expired = true;
+            }
+        });
+        if (expired) {
+            await this.saveSessions(sessions);
+        }
+
+        return { sessions, timeout };
+    }
+
+    static async saveSessions(sessions) {
+        await browserAPI.storage.local.set({ [StorageManager.KEYS.WIZARD_SESSIONS]: sessions });
+    }
+
+    // Fills and follow-up passes from several frames can change sessions together, so changes run one at a time
+    static update(change) {
+        const run = this.queue.then(async () => {
+            const { sessions, timeout } = await this.loadSessions();
+            const result = change(sessions, timeout);
+            await this.saveSessions(sessions);
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Describe a session for the popup and content script
+    static summarizeSession(session, timeout) {
+        return session ? { ...session, expiresAt: session.updatedAt + timeout } : null;
+    }
+
+    // Active session for a page's origin, or null
+    static async getSession(url) {
+        try {
+            const origin = this.getOrigin(url);
+            const { sessions, timeout } = await this.loadSessions();
+            const session = origin ? this.summarizeSession(sessions[origin], timeout) : null;
+            // Lets a page (or a frame, which cannot see the tab's address) skip the offer on a filled step
+            return { success: true, data: session && { ...session, pageFilled: session.steps.some(step => step.url === url) } };
+        } catch (error) {
+            console.error('Error loading wizard session:', error);
+            return StorageManager.failure(error);
         }
     }
 
-    // Retrieve settings (returns defaults if none stored)
-    static async getSettings() {
+    // Start a new session for a page's origin, replacing any earlier one
+    static async start(url) {
         try {
-            const result = await browserAPI.storage.local.get([this.KEYS.SETTINGS]);
-            const settings = result[this.KEYS.SETTINGS] || this.DEFAULT_SETTINGS;
-            return { success: true, data: settings };
+            const origin = this.getOrigin(url);
+            if (!origin) {
+                throw new Error('Multi-step sessions need a web page');
+            }
+
+            const data = await this.update((sessions, timeout) => {
+                const now = Date.now();
+                sessions[origin] = {
+                    id: `wizard_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+                    origin: origin,
+                    startedAt: now,
+                    updatedAt: now,
+                    steps: [],
+                    usedKeys: []
+                };
+                return this.summarizeSession(sessions[origin], timeout);
+            });
+
+            return { success: true, data };
         } catch (error) {
-            console.error('Error retrieving settings:', error);
-            return { success: false, error: error.message };
+            console.error('Error starting wizard session:', error);
+            return StorageManager.failure(error);
         }
     }
 
-    // Clear all stored data (for cleanup)
-    static async clearAllData() {
+    // End the session for a page's origin
+    static async finish(url) {
         try {
-            await browserAPI.storage.local.clear();
-            console.log('All data cleared successfully');
-            return { success: true };
+            const origin = this.getOrigin(url);
+            if (origin) {
+                await this.update(sessions => {
+                    delete sessions[origin];
+                });
+            }
+            return { success: true, data: null };
         } catch (error) {
-            console.error('Error clearing data:', error);
-            return { success: false, error: error.message };
+            console.error('Error finishing wizard session:', error);
+            return StorageManager.failure(error);
         }
     }
 
-    // Get storage usage information
-    static async getStorageInfo() {
-        try {
-            const usage = await browserAPI.storage.local.getBytesInUse();
-            const quota = browserAPI.storage.local.QUOTA_BYTES || 5242880; // 5MB default
-            return {
-                success: true,
-                data: {
-                    used: usage,
-                    quota: quota,
-                    available: quota - usage,
-                    percentUsed: (usage / quota) * 100
-                }
+    // Add a successful fill to the session timeline.
+    // Returns the session summary, or null when the origin has no session.
+    static recordStep(tab, response) {
+        const origin = this.getOrigin(tab.url);
+        return this.update((sessions, timeout) => {
+            const session = origin ? sessions[origin] : null;
+            if (!session) {
+                return null;
+            }
+
+            const results = response.results || {};
+            const keys = [...new Set((results.filled || []).map(field => field.dataField))];
+            // Same page and nothing new filled: a refill of the last step. Single-page wizards keep
+            // one URL, so new keys there start a new step
+            const last = session.steps[session.steps.length - 1];
+            const step = last && last.url === tab.url && keys.every(key => last.keys.includes(key))
+                ? last
+                : { url: tab.url, title: tab.title || '', fieldsFilled: 0, keys: [] };
+
+            step.at = Date.now();
+            step.fieldsFilled = Math.max(step.fieldsFilled, results.fieldsFilled || 0);
+            step.keys = [...new Set(step.keys.concat(keys))];
+            if (step !== last) {
+                session.steps.push(step);
+                session.steps.splice(0, Math.max(0, session.steps.length - this.MAX_STEPS));
+            }
+
+            session.usedKeys = [...new Set(session.usedKeys.concat(keys))];
+            session.updatedAt = step.at;
+
+            return this.summarizeSession(session, timeout);
+        });
+    }
+
+    // Add a follow-up pass to the last step when it ran on that step's page
+    static recordPass(tab, pass) {
+        const origin = this.getOrigin(tab.url);
+        return this.update(sessions => {
+            const session = origin ? sessions[origin] : null;
+            const last = session ? session.steps[session.steps.length - 1] : null;
+            if (!last || last.url !== tab.url) {
+                return null;
+            }
+
+            const keys = (pass.filled || []).map(field => field.dataField);
+            last.at = Date.now();
+            last.fieldsFilled += pass.fieldsFilled || 0;
+            last.keys = [...new Set(last.keys.concat(keys))];
+            session.usedKeys = [...new Set(session.usedKeys.concat(keys))];
+            session.updatedAt = last.at;
+            return session;
+        });
+    }
+}
+
+// Latest fill of each tab, including follow-up passes that finish after the fill response
+class FillResultLog {
+    static MAX_TABS = 20;
+    static queue = Promise.resolve();
+
+    // Passes from several frames can arrive together, so updates run one at a time
+    static update(change) {
+        const run = this.queue.then(async () => {
+            const result = await browserAPI.storage.local.get(StorageManager.KEYS.FILL_RESULTS);
+            const log = result[StorageManager.KEYS.FILL_RESULTS] || {};
+            const entry = change(log);
+            await browserAPI.storage.local.set({ [StorageManager.KEYS.FILL_RESULTS]: log });
+            return entry;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    static record(tab, response) {
+        const results = response.results || {};
+        return this.update(log => {
+            log[tab.id] = {
+                url: tab.url,
+                at: Date.now(),
+                fieldsDetected: results.fieldsDetected || 0,
+                fieldsFilled: results.fieldsFilled || 0,
+                passes: results.passes || [],
+                followUp: results.followUp || null
             };
-        } catch (error) {
-            console.error('Error getting storage info:', error);
-            return { success: false, error: error.message };
+
+            // Keep only the most recent tabs
+            const tabIds = Object.keys(log).sort((a, b) => log[a].at - log[b].at);
+            tabIds.slice(0, Math.max(0, tabIds.length - this.MAX_TABS)).forEach(tabId => delete log[tabId]);
+            return log[tab.id];
+        });
+    }
+
+    // Returns the updated entry, or null when the tab has no recorded fill
+    static addPass(tabId, pass) {
+        return this.update(log => {
+            const entry = log[tabId];
+            if (!entry) {
+                return null;
+            }
+            const { filled, ...summary } = pass;
+            entry.passes.push(summary);
+            entry.fieldsDetected += pass.fieldsDetected || 0;
+            entry.fieldsFilled += pass.fieldsFilled || 0;
+            entry.at = Date.now();
+            return entry;
+        });
+    }
+
+    static async get(tabId) {
+        const result = await browserAPI.storage.local.get(StorageManager.KEYS.FILL_RESULTS);
+        return (result[StorageManager.KEYS.FILL_RESULTS] || {})[tabId] || null;
+    }
+
+    static remove(tabId) {
+        return this.update(log => {
+            delete log[tabId];
+            return null;
+        });
+    }
+}
+
+// URL pattern matching for site rules
+class SiteRuleMatcher {
+    // Turn a rule pattern into a matcher.
+    // "/.../" is a regex tested against the full URL; anything else is a glob where
+    // "*" matches any run of characters, tested against the host, or host + path
+    // when the pattern contains a "/".
+    static compile(pattern) {
+        const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+            try {
+                const regex = new RegExp(regexMatch[1], regexMatch[2]);
+                return { regex: regex, target: 'url' };
+            } catch (error) {
+                throw new Error(`Invalid regular expression "${pattern}": ${error.message}`);
+            }
         }
+
+        const source = pattern
+            .replace(/^[a-z]+:\/\//i, '')
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+
+        return {
+            regex: new RegExp(`^${source}$`, 'i'),
+            target: pattern.includes('/') ? 'hostPath' : 'host'
+        };
     }
 
-    // Handle storage quota exceeded
-    static async handleQuotaExceeded() {
+    // Check whether a rule matches a URL
+    static matches(rule, url) {
+        let parsedUrl;
         try {
-            console.warn('Storage quota exceeded, attempting cleanup');
-            // Clear old user data but keep settings and mappings
-            await browserAPI.storage.local.remove([this.KEYS.USER_DATA]);
-            return { success: true, message: 'Storage cleaned up successfully' };
+            parsedUrl = new URL(url);
         } catch (error) {
-            console.error('Error during storage cleanup:', error);
-            return { success: false, error: error.message };
+            return false;
+        }
+
+        try {
+            const { regex, target } = this.compile(rule.pattern);
+            switch (target) {
+                case 'url':
+                    return regex.test(url);
+                case 'hostPath':
+                    return regex.test(parsedUrl.hostname + parsedUrl.pathname) ||
+                        regex.test(parsedUrl.host + parsedUrl.pathname);
+                default:
+                    return regex.test(parsedUrl.hostname) || regex.test(parsedUrl.host);
+            }
+        } catch (error) {
+            console.warn('Skipping invalid site rule:', rule.pattern, error.message);
+            return false;
         }
     }
+
+    // Return the first rule matching the URL, or null
+    static findMatch(rules, url) {
+        if (!url) return null;
+        return rules.find(rule => this.matches(rule, url)) || null;
+    }
 }
 
 // Message handling system
@@ -183,6 +1799,10 @@ class MessageHandler {
                 throw new Error('Message action is required and must be a string');
             }
 
+            if (this.isUserAction(message)) {
+                await VaultManager.recordActivity();
+            }
+
             switch (message.action) {
                 case 'uploadFile':
                     return await this.handleFileUpload(message);
@@ -194,7 +1814,55 @@ class MessageHandler {
                     return await this.handleOpenUploadWindow();
 
                 case 'getUserData':
-                    return await StorageManager.getUserData();
+                    return await StorageManager.getUserData(message.profileId);
+
+                case 'clearUserData':
+                    return await StorageManager.storeUserData({}, message.profileId);
+
+                case 'updateUserData':
+                    if (!message.data || typeof message.data !== 'object' || Array.isArray(message.data)) {
+                        throw new Error('Profile data is required');
+                    }
+                    return await StorageManager.storeUserData(message.data, message.profileId);
+
+                case 'getRecords':
+                    return await StorageManager.getRecords(message.profileId);
+
+                case 'selectRecord':
+                    return await StorageManager.selectRecord(message.profileId, message.index);
+
+                case 'updateRecord':
+                    return await StorageManager.updateRecord(message.profileId, message.index, message.data);
+
+                case 'configureBatch':
+                    return await BatchManager.configure(message.profileId, message.enabled, message.advanceOn);
+
+                case 'moveBatchCursor':
+                    return await BatchManager.moveCursor(message.profileId, message.index);
+
+                case 'clearBatchLog':
+                    return await BatchManager.clearLog(message.profileId);
+
+                case 'batchFormSubmitted':
+                    return await BatchManager.handleFormSubmitted(message.profileId, message.recordIndex);
+
+                case 'getProfiles':
+                    return await StorageManager.getProfiles();
+
+                case 'createProfile':
+                    return await StorageManager.createProfile(message.name, message.data, message.records);
+
+                case 'renameProfile':
+                    return await StorageManager.renameProfile(message.profileId, message.name);
+
+                case 'duplicateProfile':
+                    return await StorageManager.duplicateProfile(message.profileId, message.name);
+
+                case 'deleteProfile':
+                    return await StorageManager.deleteProfile(message.profileId);
+
+                case 'setActiveProfile':
+                    return await StorageManager.setActiveProfile(message.profileId);
 
                 case 'getFieldMappings':
                     return await StorageManager.getFieldMappings();
@@ -205,6 +1873,34 @@ class MessageHandler {
                     }
                     return await StorageManager.storeFieldMappings(message.mappings);
 
+                case 'getSiteRules':
+                    return await StorageManager.getSiteRules();
+
+                case 'updateSiteRules':
+                    return await StorageManager.storeSiteRules(message.rules);
+
+                case 'getSiteMatch':
+                    return await this.handleGetSiteMatch();
+
+                case 'getVaultStatus':
+                    return { success: true, data: await VaultManager.getStatus() };
+
+                case 'unlockVault':
+                    await VaultManager.unlock(message.passphrase);
+                    return { success: true, data: await VaultManager.getStatus() };
+
+                case 'lockVault':
+                    await VaultManager.lock();
+                    return { success: true, data: await VaultManager.getStatus() };
+
+                case 'enableVault':
+                    await VaultManager.enable(message.passphrase);
+                    return { success: true, data: await VaultManager.getStatus() };
+
+                case 'disableVault':
+                    await VaultManager.disable(message.passphrase);
+                    return { success: true, data: await VaultManager.getStatus() };
+
                 case 'getSettings':
                     return await StorageManager.getSettings();
 
@@ -217,12 +1913,49 @@ class MessageHandler {
                 case 'triggerAutoFill':
                     return await this.handleAutoFillTrigger(sender);
 
+                case 'followUpPass':
+                    return await this.handleFollowUpPass(message.pass, sender);
+
+                case 'getFillResults': {
+                    const tab = await this.getActiveTab();
+                    return { success: true, data: tab ? await FillResultLog.get(tab.id) : null };
+                }
+
+                case 'getWizardSession':
+                    return await WizardManager.getSession(await this.getRequestUrl(sender));
+
+                case 'startWizardSession':
+                    return await WizardManager.start(await this.getRequestUrl(sender));
+
+                case 'finishWizardSession':
+                    return await WizardManager.finish(await this.getRequestUrl(sender));
+
                 case 'getStorageInfo':
                     return await StorageManager.getStorageInfo();
 
                 case 'clearData':
                     return await StorageManager.clearAllData();
 
+                case 'exportBackup':
+                    return { success: true, data: await BackupManager.createArchive(message.passphrase) };
+
+                case 'previewRestore':
+                    return {
+                        success: true,
+                        data: await BackupManager.previewRestore(message.archive, message.passphrase, message.mode)
+                    };
+
+                case 'applyRestore':
+                    return {
+                        success: true,
+                        data: await BackupManager.applyRestore(
+                            message.archive,
+                            message.passphrase,
+                            message.mode,
+                            message.preferBackup !== false
+                        )
+                    };
+
                 default:
                     console.warn('Unknown message action:', message.action);
                     return {
@@ -238,7 +1971,10 @@ class MessageHandler {
             let errorType = 'GENERAL_ERROR';
             let userMessage = error.message;
 
-            if (error.message.includes('storage')) {
+            if (error.message === VaultManager.LOCKED_MESSAGE) {
+                errorType = 'LOCKED';
+                userMessage = 'Your data is locked. Unlock the vault in the extension popup first.';
+            } else if (error.message.includes('storage')) {
                 errorType = 'STORAGE_ERROR';
                 userMessage = 'Storage operation failed. Please try again.';
             } else if (error.message.includes('permission')) {
@@ -261,21 +1997,22 @@ class MessageHandler {
     // Handle file upload from popup
     static async handleFileUpload(message) {
         try {
-            const { fileData, fileType } = message;
+            const { fileData, fileType, profileId, records } = message;
 
             if (!fileData) {
                 return { success: false, error: 'No file data provided' };
             }
 
-            // Store the parsed file data
-            const result = await StorageManager.storeUserData(fileData);
+            // Store the parsed file data in the target profile
+            const result = await StorageManager.storeUserData(fileData, profileId, records);
 
             if (result.success) {
                 console.log(`${fileType.toUpperCase()} file uploaded and stored successfully`);
                 return {
                     success: true,
                     message: `${fileType.toUpperCase()} file uploaded successfully`,
-                    dataKeys: Object.keys(fileData)
+                    dataKeys: Object.keys(DataPath.flatten(fileData)),
+                    profile: result.profile
                 };
             } else {
                 return result;
@@ -289,146 +2026,54 @@ class MessageHandler {
     // Handle file processing from popup (browser-specific)
     static async handleFileProcessing(message) {
         try {
-            const { fileData, fileName, fileSize, fileType } = message;
+            const { fileData, fileName, fileSize, fileType, profileId, encoding } = message;
 
             if (!fileData) {
                 return { success: false, error: 'No file data provided' };
             }
 
-            // Validate file size (5MB limit)
-            if (fileSize > 5 * 1024 * 1024) {
-                return { success: false, error: 'File too large. Maximum size is 5MB.' };
-            }
+            // Validate with the same rules as the upload page
+            FileParser.validateFile({ name: fileName, size: fileSize, type: fileType });
 
-            // Convert base64 back to file content
+            // Convert base64 back to bytes and decode them with the chosen or detected encoding
             const base64Data = fileData.split(',')[1];
-            const fileContent = atob(base64Data);
-
-            // Determine file extension
-            const extension = this.getFileExtension(fileName);
-            if (!['json', 'csv', 'txt'].includes(extension)) {
-                return { success: false, error: 'Unsupported file format. Use JSON, CSV, or TXT files.' };
-            }
+            const decoded = FileParser.decodeBytes(VaultManager.base64ToBytes(base64Data), encoding);
+            const fileContent = decoded.content;
 
-            // Parse the file content
-            const parsedData = await this.parseFileContent(fileContent, extension);
+            // Parse the file content with the shared parser and the user's sanitization policy
+            const settings = await StorageManager.getSettings();
+            const { data: parsedData, records, layout, source, changes, diagnostics } = FileParser.parseContent(fileContent, fileName, {
+                sanitization: settings.success ? settings.data.sanitization : undefined
+            });
 
             if (!parsedData || typeof parsedData !== 'object' || Object.keys(parsedData).length === 0) {
                 return { success: false, error: 'No valid data found in file' };
             }
 
-            // Store the parsed data
-            const result = await StorageManager.storeUserData(parsedData);
+            // Store the parsed data in the target profile
+            const result = await StorageManager.storeUserData(parsedData, profileId, records);
 
             if (result.success) {
-                console.log(`${extension.toUpperCase()} file processed and stored successfully`);
+                console.log(`${fileName} processed and stored successfully`);
                 return {
                     success: true,
                     message: `File processed successfully`,
-                    dataKeys: Object.keys(parsedData)
+                    dataKeys: Object.keys(DataPath.flatten(parsedData)),
+                    layout: layout,
+                    source: source,
+                    changes: changes,
+                    encoding: decoded.encoding,
+                    diagnostics: diagnostics,
+                    profile: result.profile
                 };
             } else {
                 return result;
             }
         } catch (error) {
             console.error('Error processing file:', error);
-            return { success: false, error: error.message };
-        }
-    }
-
-    // Get file extension
-    static getFileExtension(filename) {
-        return filename.split('.').pop().toLowerCase();
-    }
-
-    // Parse file content based on extension
-    static async parseFileContent(content, extension) {
-        switch (extension) {
-            case 'json':
-                return this.parseJSON(content);
-            case 'csv':
-                return this.parseCSV(content);
-            case 'txt':
-                return this.parseTXT(content);
-            default:
-                throw new Error(`Unsupported file format: ${extension}`);
-        }
-    }
-
-    // Simple JSON parser
-    static parseJSON(content) {
-        try {
-            const data = JSON.parse(content);
-            if (typeof data !== 'object' || data === null || Array.isArray(data)) {
-                throw new Error('JSON must contain an object with key-value pairs');
-            }
-            return this.sanitizeData(data);
-        } catch (error) {
-            throw new Error(`Invalid JSON format: ${error.message}`);
-        }
-    }
-
-    // Simple CSV parser
-    static parseCSV(content) {
-        try {
-            const lines = content.split('\n').filter(line => line.trim());
-            if (lines.length < 2) {
-                throw new Error('CSV must have header and data rows');
-            }
-
-            const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-            const values = lines[1].split(',').map(v => v.trim().replace(/"/g, ''));
-
-            const data = {};
-            headers.forEach((header, index) => {
-                if (header && values[index]) {
-                    data[header] = values[index];
-                }
-            });
-
-            return this.sanitizeData(data);
-        } catch (error) {
-            throw new Error(`CSV parsing failed: ${error.message}`);
-        }
-    }
-
-    // Simple TXT parser
-    static parseTXT(content) {
-        try {
-            const lines = content.split('\n').filter(line => line.trim() && !line.startsWith('#'));
-            const data = {};
-
-            lines.forEach(line => {
-                const colonIndex = line.indexOf(':');
-                const equalIndex = line.indexOf('=');
-                const separatorIndex = colonIndex !== -1 ? colonIndex : equalIndex;
-
-                if (separatorIndex !== -1) {
-                    const key = line.substring(0, separatorIndex).trim();
-                    const value = line.substring(separatorIndex + 1).trim();
-                    if (key && value) {
-                        data[key] = value;
-                    }
-                }
-            });
-
-            return this.sanitizeData(data);
-        } catch (error) {
-            throw new Error(`TXT parsing failed: ${error.message}`);
-        }
-    }
-
-    // Sanitize parsed data
-    static sanitizeData(data) {
-        const sanitized = {};
-        for (const [key, value] of Object.entries(data)) {
-            const cleanKey = key.replace(/[<>'"&]/g, '').trim();
-            const cleanValue = String(value).replace(/[<>'"&]/g, '').trim().substring(0, 1000);
-            if (cleanKey && cleanValue) {
-                sanitized[cleanKey] = cleanValue;
-            }
+            // Parser errors carry the diagnostics collected up to the failure
+            return { success: false, error: error.message, diagnostics: error.diagnostics || [] };
         }
-        return sanitized;
     }
 
     // Handle opening upload window (browser solution)
@@ -459,18 +2104,76 @@ class MessageHandler {
         }
     }
 
+    // Query the active tab with a timeout
+    static async getActiveTab() {
+        const tabs = await Promise.race([
+            browserAPI.tabs.query({ active: true, currentWindow: true }),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('Tab query timeout')), 5000)
+            )
+        ]);
+
+        return tabs && tabs.length > 0 ? tabs[0] : null;
+    }
+
+    // A follow-up pass finished after its fill was reported
+    static async handleFollowUpPass(pass, sender) {
+        if (!sender || !sender.tab) {
+            throw new Error('Follow-up passes must come from a page');
+        }
+        if (!pass || typeof pass !== 'object') {
+            throw new Error('Pass data is required');
+        }
+
+        const entry = await FillResultLog.addPass(sender.tab.id, pass);
+        if (entry) {
+            await WizardManager.recordPass(sender.tab, pass);
+        }
+        return { success: true, data: entry };
+    }
+
+    // Actions a person starts by clicking or typing. Reads the popup and options page make on their own
+    // (status, settings, fill results) and content script traffic do not count as vault activity
+    static USER_ACTIONS = [
+        'uploadFile', 'processFile', 'clearUserData', 'updateUserData', 'selectRecord', 'updateRecord',
+        'configureBatch', 'moveBatchCursor', 'clearBatchLog', 'createProfile', 'renameProfile',
+        'duplicateProfile', 'deleteProfile', 'setActiveProfile', 'updateFieldMappings', 'updateSiteRules',
+        'updateSettings', 'triggerAutoFill', 'startWizardSession', 'finishWizardSession', 'exportBackup',
+        'previewRestore', 'applyRestore'
+    ];
+
+    static isUserAction(message) {
+        return this.USER_ACTIONS.includes(message.action);
+    }
+
+    // URL of the page a message is about: the sending tab for content scripts, else the active tab
+    static async getRequestUrl(sender) {
+        if (sender && sender.tab) {
+            return sender.tab.url;
+        }
+        const activeTab = await this.getActiveTab();
+        return activeTab && !this.isRestrictedPage(activeTab.url) ? activeTab.url : null;
+    }
+
+    // Report which site rule and profile apply to the active tab
+    static async handleGetSiteMatch() {
+        const activeTab = await this.getActiveTab();
+        const url = activeTab && !this.isRestrictedPage(activeTab.url) ? activeTab.url : null;
+
+        const result = await StorageManager.resolveProfileForUrl(url);
+        if (result.success) {
+            result.data.url = url;
+        }
+        return result;
+    }
+
     // Handle auto-fill trigger from popup
     static async handleAutoFillTrigger(sender) {
         try {
-            // Get current active tab with timeout
-            const tabs = await Promise.race([
-                browserAPI.tabs.query({ active: true, currentWindow: true }),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Tab query timeout')), 5000)
-                )
-            ]);
+            // Fill the tab that asked (a wizard step offer), else the active tab
+            const activeTab = sender && sender.tab ? sender.tab : await this.getActiveTab();
 
-            if (!tabs || tabs.length === 0) {
+            if (!activeTab) {
                 return {
                     success: false,
                     error: 'No active tab found',
@@ -478,8 +2181,6 @@ class MessageHandler {
                 };
             }
 
-            const activeTab = tabs[0];
-
             // Check if tab URL is restricted
             if (this.isRestrictedPage(activeTab.url)) {
                 return {
@@ -489,9 +2190,18 @@ class MessageHandler {
                 };
             }
 
+            // Choose the profile from site rules, falling back to the active profile
+            const siteMatch = await StorageManager.resolveProfileForUrl(activeTab.url);
+            if (siteMatch.errorType === 'LOCKED') {
+                return this.lockedResponse();
+            }
+            if (!siteMatch.success) {
+                throw new Error(`Failed to resolve profile: ${siteMatch.error}`);
+            }
+
             // Get user data and field mappings with error handling
             const [userDataResult, mappingsResult, settingsResult] = await Promise.allSettled([
-                StorageManager.getUserData(),
+                StorageManager.getUserData(siteMatch.data.profileId),
                 StorageManager.getFieldMappings(),
                 StorageManager.getSettings()
             ]);
@@ -511,6 +2221,10 @@ class MessageHandler {
             const mappings = mappingsResult.value;
             const settings = settingsResult.value;
 
+            if (userData.errorType === 'LOCKED') {
+                return this.lockedResponse();
+            }
+
             if (!userData.success || !mappings.success || !settings.success) {
                 const errors = [
                     !userData.success && userData.error,
@@ -528,21 +2242,46 @@ class MessageHandler {
             if (!userData.data || Object.keys(userData.data).length === 0) {
                 return {
                     success: false,
-                    error: 'No user data available. Please upload a file first.',
+                    error: `Profile "${userData.profile.name}" has no data. Please upload a file first.`,
                     errorType: 'NO_DATA'
                 };
             }
 
             // Send message to content script with timeout and retry logic
             try {
-                const response = await this.sendMessageWithRetry(activeTab.id, {
+                const profile = userData.profile;
+                const wizard = await WizardManager.getSession(activeTab.url);
+                const response = await this.fillFrames(activeTab, {
                     action: 'performAutoFill',
                     userData: userData.data,
                     fieldMappings: mappings.data,
-                    settings: settings.data
-                }, 3, 2000);
-
-                return response || { success: true, message: 'Auto-fill triggered successfully' };
+                    settings: settings.data,
+                    // Lets the page report its next form submit when batch mode advances on submit
+                    batch: profile.batchMode === 'submit'
+                        ? { profileId: profile.id, recordIndex: profile.recordIndex }
+                        : null,
+                    // Keys filled on earlier steps of a multi-step form
+                    wizard: wizard.success && wizard.data
+                        ? { id: wizard.data.id, usedKeys: wizard.data.usedKeys }
+                        : null
+                });
+
+                const result = response || { success: true, message: 'Auto-fill triggered successfully' };
+                if (result.success) {
+                    await StorageManager.markRecordUsed(profile.id);
+                }
+                if (profile.batchMode) {
+                    result.batch = await BatchManager.recordFillResult(profile.id, profile.recordIndex, result);
+                }
+                result.wizard = result.success
+                    ? await WizardManager.recordStep(activeTab, result)
+                    : (wizard.success ? wizard.data : null);
+                if (result.success) {
+                    await FillResultLog.record(activeTab, result);
+                }
+                result.profile = profile;
+                result.matchedRule = siteMatch.data.rule;
+                return result;
             } catch (error) {
                 return this.handleContentScriptError(error, activeTab);
             }
@@ -568,6 +2307,15 @@ class MessageHandler {
         }
     }
 
+    // Response for actions that need the vault unlocked
+    static lockedResponse() {
+        return {
+            success: false,
+            error: 'Your data is locked. Unlock the vault in the extension popup to auto-fill.',
+            errorType: 'LOCKED'
+        };
+    }
+
     // Check if page URL is restricted
     static isRestrictedPage(url) {
         if (!url) return true;
@@ -585,14 +2333,131 @@ class MessageHandler {
         return restrictedPatterns.some(pattern => pattern.test(url));
     }
 
-    // Send message with retry logic
-    static async sendMessageWithRetry(tabId, message, maxRetries = 3, timeout = 2000) {
+    // List the frames of a tab that the content script can run in; the top frame has id 0
+    static async getFrames(tab) {
+        try {
+            const frames = await browserAPI.webNavigation.getAllFrames({ tabId: tab.id });
+            const usable = (frames || [])
+                .filter(frame => !this.isRestrictedPage(frame.url))
+                .map(frame => ({ frameId: frame.frameId, url: frame.url }));
+            if (usable.length > 0) {
+                return usable.sort((a, b) => a.frameId - b.frameId);
+            }
+        } catch (error) {
+            console.warn('Could not list frames, filling the top frame only:', error.message);
+        }
+        return [{ frameId: 0, url: tab.url }];
+    }
+
+    // Ask every frame which fields it has; frames without a content script report an error
+    static async detectFrameFields(tab) {
+        const frames = await this.getFrames(tab);
+
+        return Promise.all(frames.map(async frame => {
+            try {
+                const response = await this.sendMessageWithRetry(tab.id, { action: 'detectFields' }, 1, 2000, frame.frameId);
+                return { ...frame, fieldsDetected: response && response.success ? response.count : 0 };
+            } catch (error) {
+                return { ...frame, fieldsDetected: 0, error: error.message };
+            }
+        }));
+    }
+
+    // Fill every frame that has fields and merge the per-frame results
+    static async fillFrames(tab, message) {
+        const report = await this.detectFrameFields(tab);
+        const top = report.find(frame => frame.frameId === 0);
+        // Every frame with a content script is filled. Frames without fields yet report zero, and still
+        // watch for late fields when follow-up filling is on
+        let targets = report.filter(frame => !frame.error);
+
+        if (!report.some(frame => frame.fieldsDetected > 0)) {
+            // Let the top frame answer, so missing content scripts and empty pages report as before
+            targets = [top || { frameId: 0, url: tab.url }];
+        }
+
+        const responses = await Promise.all(targets.map(async frame => {
+            try {
+                const frameMessage = targets.length > 1 ? { ...message, allowEmpty: true } : message;
+                const response = await this.sendMessageWithRetry(tab.id, frameMessage, 3, 2000, frame.frameId);
+                return { frame, response: response || { success: false, error: 'No response from frame' } };
+            } catch (error) {
+                if (targets.length === 1) {
+                    throw error;
+                }
+                return { frame, response: { success: false, error: error.message } };
+            }
+        }));
+
+        // Report every frame, including those that had nothing to fill
+        const merged = this.mergeFrameResults(responses);
+        if (merged.results) {
+            merged.results.frames = report.map(frame => {
+                const filled = responses.find(entry => entry.frame.frameId === frame.frameId);
+                return filled
+                    ? this.describeFrameResult(filled.frame, filled.response)
+                    : this.describeFrameResult(frame, { success: !frame.error, error: frame.error });
+            });
+        }
+        return merged;
+    }
+
+    // Combine the fill results of several frames; each field keeps the URL of its frame
+    static mergeFrameResults(responses) {
+        const succeeded = responses.filter(({ response }) => response.success && response.results);
+        if (succeeded.length === 0) {
+            return responses[0].response;
+        }
+
+        const results = {
+            fieldsDetected: 0,
+            fieldsFilled: 0,
+            fieldsSkipped: 0,
+            errors: [],
+            warnings: [],
+            filled: [],
+            templateIssues: [],
+            // Frames share the settings, so any frame that is watching reports the same window
+            followUp: (succeeded.find(({ response }) => response.results.followUp) || succeeded[0]).response.results.followUp,
+            passes: []
+        };
+
+        succeeded.forEach(({ frame, response }) => {
+            const frameResults = response.results;
+            const frameUrl = frameResults.frameUrl || frame.url;
+            results.fieldsDetected += frameResults.fieldsDetected || 0;
+            results.fieldsFilled += frameResults.fieldsFilled || 0;
+            results.fieldsSkipped += frameResults.fieldsSkipped || 0;
+            results.errors.push(...(frameResults.errors || []).map(error => ({ ...error, frameUrl })));
+            results.warnings.push(...(frameResults.warnings || []));
+            results.filled.push(...(frameResults.filled || []).map(field => ({ ...field, frameUrl })));
+            results.passes.push(...(frameResults.passes || []).map(pass => ({ ...pass, frameUrl })));
+            results.templateIssues.push(...(frameResults.templateIssues || []).map(issue => ({ ...issue, frameUrl })));
+        });
+
+        return { success: true, fieldsCount: results.fieldsFilled, results };
+    }
+
+    // One frame's line in the fill summary
+    static describeFrameResult(frame, response) {
+        const results = response.results || {};
+        return {
+            frameId: frame.frameId,
+            url: results.frameUrl || frame.url,
+            fieldsDetected: results.fieldsDetected || frame.fieldsDetected || 0,
+            fieldsFilled: results.fieldsFilled || 0,
+            error: response.success ? null : (response.error || 'Auto-fill failed')
+        };
+    }
+
+    // Send message with retry logic; frameId 0 addresses the top frame
+    static async sendMessageWithRetry(tabId, message, maxRetries = 3, timeout = 2000, frameId = 0) {
         let lastError;
 
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
                 const response = await Promise.race([
-                    browserAPI.tabs.sendMessage(tabId, message),
+                    browserAPI.tabs.sendMessage(tabId, message, { frameId }),
                     new Promise((_, reject) =>
                         setTimeout(() => reject(new Error('Message timeout')), timeout)
                     )
@@ -679,35 +2544,11 @@ if (browserAPI.runtime.onSuspend) {
     });
 }
 
-// Handle tab updates for content script injection (browser uses different approach)
-browserAPI.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-    // Only inject when page is completely loaded
-    if (changeInfo.status === 'complete' && tab.url && !MessageHandler.isRestrictedPage(tab.url)) {
-        try {
-            // Check if we have user data before injecting
-            const userDataResult = await StorageManager.getUserData();
-
-            if (userDataResult.success && Object.keys(userDataResult.data).length > 0) {
-                // Check if content script is already injected
-                try {
-                    await browserAPI.tabs.sendMessage(tabId, { action: 'ping' });
-                    // If we get here, content script is already present
-                    return;
-                } catch (pingError) {
-                    // Content script not present, but it's automatically injected via manifest
-                    // So we don't need to manually inject it
-                    console.log(`Content script will be automatically available for tab ${tabId}`);
-                }
-            }
-        } catch (error) {
-            // Handle storage or other errors
-            if (error.message.includes('storage')) {
-                console.warn('Storage error during content script check:', error.message);
-            } else {
-                console.warn(`Unexpected error during content script check for tab ${tabId}:`, error.message);
-            }
-        }
-    }
+// Forget the last fill of closed tabs
+browserAPI.tabs.onRemoved.addListener(tabId => {
+    FillResultLog.remove(tabId).catch(error => {
+        console.warn('Failed to clear fill results for closed tab:', error);
+    });
 });
 
 // Initialize extension on install
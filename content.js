@@ -33,14 +33,15 @@ class FormFieldDetector {
       'div[role="radiogroup"]', 'input[type="radio"]'
     ];
 
-    const elements = document.querySelectorAll(fieldSelectors.join(', '));
+    const elements = this.querySelectorAllDeep(fieldSelectors.join(', '));
     const detectedFields = [];
 
     elements.forEach((element, index) => {
       if (this.isFieldVisible(element) && !element.disabled && !element.readOnly) {
         const fieldData = this.extractFieldMetadata(element, index);
         if (fieldData) {
-          this.fieldCache.set(fieldData.id, fieldData);
+          // Keyed by element: fields in different shadow roots often share an id such as "input"
+          this.fieldCache.set(element, fieldData);
           detectedFields.push(fieldData);
         }
       }
@@ -58,6 +59,24 @@ class FormFieldDetector {
     return detectedFields;
   }
 
+  // Find matching elements in the page and, recursively, inside every open shadow root
+  // (web components such as Salesforce Lightning or Shoelace render their inputs there).
+  // Results keep document order, with a shadow root's matches placed at its host
+  querySelectorAllDeep(selector, root = document) {
+    const elements = [];
+
+    root.querySelectorAll('*').forEach(element => {
+      if (element.matches(selector)) {
+        elements.push(element);
+      }
+      if (element.shadowRoot) {
+        elements.push(...this.querySelectorAllDeep(selector, element.shadowRoot));
+      }
+    });
+
+    return elements;
+  }
+
   extractFieldMetadata(element, index) {
     try {
       const fieldData = {
@@ -73,7 +92,8 @@ class FormFieldDetector {
         maxLength: element.maxLength || null,
         ariaLabel: element.getAttribute('aria-label') || '',
         title: element.title || '',
-        dataName: element.getAttribute('data-name') || ''
+        dataName: element.getAttribute('data-name') || '',
+        autocomplete: FieldMappingRegistry.parseAutocomplete(element.getAttribute('autocomplete'))
       };
 
       fieldData.identifier = this.createFieldIdentifier(fieldData);
@@ -105,18 +125,21 @@ class FormFieldDetector {
   }
 
   findAssociatedLabel(element) {
+    // Ids only resolve within the element's own tree: the document or its shadow root
+    const root = element.getRootNode();
+
     // Try standard label association
     if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
+      const label = root.querySelector(`label[for="${CSS.escape(element.id)}"]`);
       if (label) {
-        return label.textContent.trim();
+        return this.getLabelText(label);
       }
     }
 
-    // Try parent label
-    const parentLabel = element.closest('label');
+    // Try parent label, including a label around the shadow host
+    const parentLabel = this.closestAcrossShadow(element, 'label');
     if (parentLabel) {
-      return parentLabel.textContent.trim();
+      return this.getLabelText(parentLabel);
     }
 
     // Try aria-label
@@ -124,12 +147,18 @@ class FormFieldDetector {
       return element.getAttribute('aria-label').trim();
     }
 
-    // Try aria-labelledby
+    // Try aria-labelledby, which may list several ids
     const ariaLabelledBy = element.getAttribute('aria-labelledby');
     if (ariaLabelledBy) {
-      const labelElement = document.getElementById(ariaLabelledBy);
-      if (labelElement) {
-        return labelElement.textContent.trim();
+      const text = ariaLabelledBy
+        .split(/\s+/)
+        .map(id => root.getElementById(id))
+        .filter(Boolean)
+        .map(labelElement => this.getLabelText(labelElement))
+        .join(' ')
+        .trim();
+      if (text) {
+        return text;
       }
     }
 
@@ -142,6 +171,40 @@ class FormFieldDetector {
     return '';
   }
 
+  // Text of a label, including light DOM content slotted into it (<slot name="label">)
+  getLabelText(node) {
+    const collect = current => {
+      if (current.nodeType === Node.TEXT_NODE) {
+        return current.textContent;
+      }
+      if (current.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+      }
+      if (current.tagName === 'SLOT') {
+        const assigned = current.assignedNodes({ flatten: true });
+        // An empty slot shows its fallback content
+        return assigned.length > 0 ? assigned.map(collect).join('') : Array.from(current.childNodes).map(collect).join('');
+      }
+      return Array.from(current.childNodes).map(collect).join('');
+    };
+
+    return collect(node).replace(/\s+/g, ' ').trim();
+  }
+
+  // Like element.closest, but continues from the shadow host when the root is reached
+  closestAcrossShadow(element, selector) {
+    let current = element;
+    while (current) {
+      const match = current.closest(selector);
+      if (match) {
+        return match;
+      }
+      const root = current.getRootNode();
+      current = root instanceof ShadowRoot ? root.host : null;
+    }
+    return null;
+  }
+
   findNearbyLabel(element) {
     // For Google Forms, we need to find the actual question text
     // Look for the question container that holds this field
@@ -246,88 +309,23 @@ class FormFieldDetector {
 
 // Field Mapper
 class FieldMapper {
+  // Above any label-based score (priority 10 x exact match 10)
+  static AUTOCOMPLETE_CONFIDENCE = 150;
+
+  // Keys filled on an earlier step of a multi-step form only match exactly named fields (priority x 10),
+  // so "Emergency contact phone" on a later step does not get the applicant's phone again
+  static USED_KEY_MIN_MATCH = 10;
+
   constructor() {
-    this.defaultMappings = this.initializeDefaultMappings();
+    this.defaultMappings = FieldMappingRegistry.toWeighted(FieldMappingRegistry.getDefaultMappings());
     this.currentMappings = {};
-  }
-
-  initializeDefaultMappings() {
-    return {
-      firstName: {
-        aliases: ['firstname', 'first_name', 'fname', 'given_name', 'first-name', 'first name', 'name first'],
-        priority: 10
-      },
-      lastName: {
-        aliases: ['lastname', 'last_name', 'lname', 'surname', 'last-name', 'last name', 'family name'],
-        priority: 10
-      },
-      email: {
-        aliases: ['email', 'email_address', 'e_mail', 'e-mail', 'mail', 'email address'],
-        priority: 10
-      },
-      phone: {
-        aliases: ['phone', 'telephone', 'tel', 'phone_number', 'mobile', 'cell', 'phone number'],
-        priority: 9
-      },
-      street: {
-        aliases: ['street', 'address', 'address1', 'street_address', 'addr1', 'street address'],
-        priority: 9
-      },
-      city: {
-        aliases: ['city', 'town', 'locality'],
-        priority: 9
-      },
-      state: {
-        aliases: ['state', 'province', 'region'],
-        priority: 9
-      },
-      zipCode: {
-        aliases: ['zip', 'zipcode', 'zip_code', 'postal', 'postal_code', 'postcode', 'zip code'],
-        priority: 9
-      },
-      country: {
-        aliases: ['country', 'nation'],
-        priority: 8
-      },
-      // Enhanced mappings for Google Forms
-      fullName: {
-        aliases: ['full name', 'fullname', 'full_name', 'name', 'your name', 'complete name'],
-        priority: 10
-      },
-      dateOfBirth: {
-        aliases: ['date of birth', 'birth date', 'birthday', 'dob', 'birthdate', 'date birth'],
-        priority: 9
-      },
-      gender: {
-        aliases: ['gender', 'sex'],
-        priority: 8
-      },
-      mobile: {
-        aliases: ['mobile', 'mobile_number', 'mobile number', 'cell', 'cellular'],
-        priority: 9
-      },
-      linkedIn: {
-        aliases: ['linkedin', 'linkedin_profile', 'linkedin profile'],
-        priority: 7
-      }
-    };
+    this.usedKeys = new Set();
   }
 
   // Update mappings from storage
   updateMappings(fieldMappings) {
-    this.currentMappings = {};
-
-    // Convert storage format to internal format with priorities
-    Object.entries(fieldMappings).forEach(([fieldType, aliases]) => {
-      // Use default priority if it exists, otherwise use medium priority
-      const defaultMapping = this.defaultMappings[fieldType];
-      const priority = defaultMapping ? defaultMapping.priority : 8;
-
-      this.currentMappings[fieldType] = {
-        aliases: aliases.map(alias => alias.toLowerCase()),
-        priority: priority
-      };
-    });
+    // Convert storage format to internal format with registry priorities
+    this.currentMappings = FieldMappingRegistry.toWeighted(fieldMappings);
   }
 
   // Get active mappings (custom if available, otherwise default)
@@ -355,18 +353,35 @@ class FieldMapper {
   }
 
   findBestMatch(field, userData, mappings = null) {
+    // A valid autocomplete token is the strongest candidate; password and payment tokens are never filled
+    if (field.autocomplete) {
+      const target = FieldMappingRegistry.getAutocompleteKeys(field.autocomplete);
+      if (!target) {
+        return null;
+      }
+      const match = this.findAutocompleteMatch(target, userData);
+      if (match) {
+        return match;
+      }
+      // No value for the token's keys: fall back to the name and label
+    }
+
     const activeMappings = mappings || this.getActiveMappings();
     let bestMatch = null;
     let highestScore = 0;
 
     Object.keys(activeMappings).forEach(dataKey => {
-      if (userData[dataKey]) {
+      const value = this.resolveValue(userData, dataKey);
+      if (value) {
         const score = this.calculateMatchScore(field, dataKey, activeMappings);
+        if (this.usedKeys.has(dataKey) && score < activeMappings[dataKey].priority * FieldMapper.USED_KEY_MIN_MATCH) {
+          return;
+        }
         if (score > highestScore) {
           highestScore = score;
           bestMatch = {
             key: dataKey,
-            value: userData[dataKey],
+            value: value,
             confidence: score
           };
         }
@@ -376,6 +391,51 @@ class FieldMapper {
     return bestMatch;
   }
 
+  // Match a field by the keys of its autocomplete token (given-name, shipping postal-code, bday-day...)
+  findAutocompleteMatch(target, userData) {
+    for (const key of target.keys) {
+      const value = this.resolveValue(userData, key);
+      const part = value && target.part ? this.extractValuePart(value, target.part) : value;
+      if (part) {
+        return { key, value: part, confidence: FieldMapper.AUTOCOMPLETE_CONFIDENCE };
+      }
+    }
+    return null;
+  }
+
+  // Pick the piece of a value an autocomplete token asks for
+  extractValuePart(value, part) {
+    const text = String(value).trim();
+    const date = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const phone = text.match(/^\+(\d{1,3})[\s.-]+(.+)$/);
+
+    switch (part) {
+      case 'year':
+        return date ? date[1] : null;
+      case 'month':
+        return date ? date[2] : null;
+      case 'day':
+        return date ? date[3] : null;
+      case 'countryCode':
+        return phone ? `+${phone[1]}` : null;
+      case 'national':
+        return phone ? phone[2] : text;
+      default:
+        return text;
+    }
+  }
+
+  // Look up a mapping key, which may be a path into nested data (address.billing.zip)
+  resolveValue(userData, dataKey) {
+    const value = DataPath.get(userData, dataKey);
+
+    if (Array.isArray(value)) {
+      // A list of plain values fills one field as text; lists of objects need a path such as work[0].company
+      return value.every(item => typeof item !== 'object') ? value.filter(Boolean).join(', ') : null;
+    }
+    return typeof value === 'object' ? null : value;
+  }
+
   calculateMatchScore(field, dataKey, mappings = null) {
     const activeMappings = mappings || this.getActiveMappings();
     const mapping = activeMappings[dataKey];
@@ -506,6 +566,164 @@ class FieldMapper {
   }
 }
 
+// Template Resolver
+// Expands {{...}} placeholders in profile values at fill time:
+// "{{firstName}} {{lastName}}", "{{today:YYYY-MM-DD}}", "{{uuid}}" or "{{email|lower}}"
+class TemplateResolver {
+  static PATTERN = /\{\{([^{}]*)\}\}/g;
+
+  // Built-in variables; the text after ":" is passed as the argument (a date format for today/now)
+  static VARIABLES = {
+    today: format => TemplateResolver.formatDate(new Date(), format || 'YYYY-MM-DD'),
+    now: format => TemplateResolver.formatDate(new Date(), format || 'YYYY-MM-DD HH:mm'),
+    uuid: () => TemplateResolver.uuid()
+  };
+
+  // Filters applied left to right after "|"
+  static FILTERS = {
+    lower: value => value.toLowerCase(),
+    upper: value => value.toUpperCase(),
+    trim: value => value.trim(),
+    capitalize: value => value.charAt(0).toUpperCase() + value.slice(1),
+    title: value => value.toLowerCase().replace(/(^|[\s-])(\S)/g, (match, before, char) => before + char.toUpperCase())
+  };
+
+  constructor(userData) {
+    this.userData = userData || {};
+    this.resolved = new Map();
+    this.issues = [];
+  }
+
+  // Resolve every value in the profile data; values that cannot be resolved are left out
+  // and reported as { key, message } so the rest of the form can still be filled
+  static resolve(userData) {
+    const resolver = new TemplateResolver(userData);
+    const data = resolver.copy(userData || {}, []);
+    return { data, issues: resolver.issues };
+  }
+
+  copy(value, segments) {
+    if (Array.isArray(value)) {
+      return value
+        .map((item, index) => this.copy(item, segments.concat(index)))
+        .filter(item => item !== undefined);
+    }
+    if (value !== null && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        const item = this.copy(value[key], segments.concat(key));
+        if (item !== undefined) {
+          result[key] = item;
+        }
+      });
+      return result;
+    }
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const resolved = this.resolvePath(DataPath.format(segments), value, []);
+    return resolved === null ? undefined : resolved;
+  }
+
+  // Resolve the value stored at a path once per fill; `stack` holds the paths being resolved
+  resolvePath(path, value, stack) {
+    if (this.resolved.has(path)) {
+      return this.resolved.get(path);
+    }
+    if (stack.includes(path)) {
+      const cycle = stack.slice(stack.indexOf(path)).concat(path);
+      throw new Error(`Circular reference: ${cycle.join(' → ')}`);
+    }
+
+    let result;
+    try {
+      result = value.replace(TemplateResolver.PATTERN, (match, expression) =>
+        this.evaluate(expression, stack.concat(path))
+      );
+    } catch (error) {
+      this.issues.push({ key: path, message: error.message });
+      result = null;
+    }
+
+    this.resolved.set(path, result);
+    return result;
+  }
+
+  // Evaluate one placeholder: name[:argument] followed by any number of |filter
+  evaluate(expression, stack) {
+    const [reference, ...filters] = expression.split('|').map(part => part.trim());
+    const colon = reference.indexOf(':');
+    const name = (colon === -1 ? reference : reference.slice(0, colon)).trim();
+    const argument = colon === -1 ? '' : reference.slice(colon + 1).trim();
+
+    if (name === '') {
+      throw new Error(`Empty placeholder "{{${expression}}}"`);
+    }
+
+    const value = Object.prototype.hasOwnProperty.call(TemplateResolver.VARIABLES, name)
+      ? TemplateResolver.VARIABLES[name](argument)
+      : this.lookup(name, stack);
+
+    return filters.reduce((text, filter) => {
+      if (!Object.prototype.hasOwnProperty.call(TemplateResolver.FILTERS, filter)) {
+        throw new Error(`Unknown filter "${filter}" in "{{${expression.trim()}}}"`);
+      }
+      return TemplateResolver.FILTERS[filter](text);
+    }, String(value));
+  }
+
+  // Read another profile field by path, resolving its own placeholders first
+  lookup(name, stack) {
+    const value = DataPath.get(this.userData, name);
+
+    if (typeof value === 'string') {
+      const resolved = this.resolvePath(name, value, stack);
+      if (resolved === null) {
+        throw new Error(`"${name}" could not be resolved`);
+      }
+      return resolved;
+    }
+    if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+      return value
+        .map((item, index) => (typeof item === 'string' ? this.lookup(`${name}[${index}]`, stack) : item))
+        .filter(Boolean)
+        .join(', ');
+    }
+    if (value === undefined || value === null || typeof value === 'object') {
+      throw new Error(`Unknown variable "${name}"`);
+    }
+    return value;
+  }
+
+  // Format a date with YYYY, YY, MM, DD, HH, mm and ss tokens
+  static formatDate(date, format) {
+    const pad = number => String(number).padStart(2, '0');
+    const tokens = {
+      YYYY: date.getFullYear(),
+      YY: pad(date.getFullYear() % 100),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds())
+    };
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+  }
+
+  // Random version 4 UUID; crypto.randomUUID is missing on plain http pages
+  static uuid() {
+    if (typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+}
+
 // Auto Filler
 class AutoFiller {
   constructor(fieldDetector, fieldMapper) {
@@ -523,7 +741,8 @@ class AutoFiller {
       throw new Error('Field element is null or undefined');
     }
 
-    if (!document.contains(element)) {
+    // isConnected also covers fields inside shadow roots, which document.contains does not
+    if (!element.isConnected) {
       throw new Error('Field element no longer exists in the page');
     }
 
@@ -676,6 +895,13 @@ class AutoFiller {
       // Try exact value match first
       let option = options.find(opt => opt.value === stringValue);
 
+      // Numbers match regardless of leading zeros ("04" selects the option "4")
+      if (!option && /^\d+$/.test(stringValue)) {
+        option = options.find(opt =>
+          /^\d+$/.test(opt.value.trim()) && Number(opt.value) === Number(stringValue)
+        );
+      }
+
       // Try case-insensitive text match
       if (!option) {
         option = options.find(opt =>
@@ -914,8 +1140,8 @@ class AutoFiller {
 
       element.focus();
 
-      // Verify focus was successful
-      return document.activeElement === element;
+      // Verify focus was successful; inside a shadow root the document only sees the host
+      return element.getRootNode().activeElement === element;
     } catch (error) {
       console.warn('Focus failed:', error);
       return false;
@@ -956,7 +1182,7 @@ class VisualFeedback {
     }
 
     fields.forEach(field => {
-      if (field.element && document.contains(field.element)) {
+      if (field.element && field.element.isConnected) {
         field.element.classList.add('autofill-highlight');
         this.highlightedFields.add(field.element);
       }
@@ -967,7 +1193,7 @@ class VisualFeedback {
 
   clearHighlights() {
     this.highlightedFields.forEach(element => {
-      if (document.contains(element)) {
+      if (element.isConnected) {
         element.classList.remove('autofill-highlight', 'pulse');
       }
     });
@@ -1068,12 +1294,56 @@ class VisualFeedback {
     }, 3000);
   }
 
+  // Banner offering to fill the next step of a multi-step form session
+  showWizardOffer(session, { onFill, onFinish }) {
+    const existing = document.querySelector('.autofill-wizard-offer');
+    if (existing) {
+      existing.remove();
+    }
+
+    const offer = document.createElement('div');
+    offer.className = 'autofill-wizard-offer';
+
+    const text = document.createElement('span');
+    text.className = 'autofill-wizard-text';
+    text.textContent = `Continue the multi-step form? Step ${session.steps.length + 1}, ` +
+      `${session.usedKeys.length} fields filled so far.`;
+
+    const button = (label, className, handler) => {
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = className;
+      element.textContent = label;
+      element.addEventListener('click', async () => {
+        offer.remove();
+        try {
+          await handler();
+        } catch (error) {
+          console.warn('Multi-step form action failed:', error);
+        }
+      });
+      return element;
+    };
+
+    offer.append(
+      text,
+      button('Fill this step', 'autofill-wizard-fill', onFill),
+      button('Finish', 'autofill-wizard-finish', onFinish),
+      button('×', 'autofill-wizard-dismiss', () => {})
+    );
+    document.body.appendChild(offer);
+  }
+
   showCompletionSummary(results) {
-    const { fieldsDetected, fieldsFilled, fieldsSkipped, errors } = results;
+    const { fieldsDetected, fieldsFilled, fieldsSkipped, errors, passes } = results;
 
     let message = `✅ Filled ${fieldsFilled} of ${fieldsDetected} fields`;
     let type = 'success';
 
+    if (passes && passes.length > 1) {
+      message += ` in ${passes.length} passes`;
+    }
+
     if (errors && errors.length > 0) {
       message = `⚠️ Filled ${fieldsFilled} fields, ${errors.length} errors`;
       type = 'warning';
@@ -1099,6 +1369,8 @@ class ContentScriptController {
   constructor() {
     this.isExtensionActive = false;
     this.currentFields = [];
+    this.batchSubmitListener = null;
+    this.followUp = null;
     this.init();
   }
 
@@ -1108,9 +1380,41 @@ class ContentScriptController {
       return true;
     });
 
+    // Any frame with fields can offer to continue a multi-step form, so forms inside iframes get the offer too
+    this.offerWizardStep();
+
     console.log('Browser Auto-Fill Extension content script initialized');
   }
 
+  // On a new page of a multi-step form session, offer to fill this step too
+  async offerWizardStep() {
+    try {
+      // Read the sessions directly so pages of sites without a session do not wake the background page.
+      // Sessions belong to the tab's origin, which an iframe cannot read, so iframes ask whenever one is running
+      const stored = await browserAPI.storage.local.get('wizardSessions');
+      const origins = Object.keys(stored.wizardSessions || {});
+      if (window === window.top ? !origins.includes(window.location.origin) : origins.length === 0) {
+        return;
+      }
+
+      const response = await browserAPI.runtime.sendMessage({ action: 'getWizardSession' });
+      const session = response && response.success ? response.data : null;
+      if (!session || session.pageFilled) {
+        return;
+      }
+      if (fieldDetector.detectFields(true).length === 0) {
+        return;
+      }
+
+      visualFeedback.showWizardOffer(session, {
+        onFill: () => browserAPI.runtime.sendMessage({ action: 'triggerAutoFill' }),
+        onFinish: () => browserAPI.runtime.sendMessage({ action: 'finishWizardSession' })
+      });
+    } catch (error) {
+      console.warn('Could not check for a multi-step form session:', error);
+    }
+  }
+
   async handleMessage(message, sender, sendResponse) {
     try {
       // Validate message structure
@@ -1196,7 +1500,8 @@ class ContentScriptController {
           identifier: field.identifier,
           label: field.label
         })),
-        count: fields.length
+        count: fields.length,
+        frameUrl: window.location.href
       });
     } catch (error) {
       sendResponse({ success: false, error: error.message });
@@ -1252,7 +1557,7 @@ class ContentScriptController {
 
   async handlePerformAutoFill(message, sendResponse) {
     try {
-      const { userData, fieldMappings, settings } = message;
+      const { userData, fieldMappings, settings, batch, wizard } = message;
 
       // Validate required data
       if (!userData || typeof userData !== 'object') {
@@ -1278,6 +1583,9 @@ class ContentScriptController {
         }
       }
 
+      // Keys already filled on earlier steps of a multi-step form
+      fieldMapper.usedKeys = new Set(wizard && Array.isArray(wizard.usedKeys) ? wizard.usedKeys : []);
+
       // Update settings if provided
       if (settings && typeof settings === 'object') {
         if (settings.animationSpeed && typeof settings.animationSpeed === 'number') {
@@ -1286,10 +1594,28 @@ class ContentScriptController {
       }
 
       visualFeedback.clearHighlights();
+      this.stopWatchingNewFields();
 
-      const results = await this.performAutoFillWithErrorHandling(userData);
+      // A frame that had no fields when the fill started reports zero instead of failing,
+      // and still watches for fields that appear later
+      const results = message.allowEmpty && fieldDetector.detectFields(true).length === 0
+        ? this.describeEmptyFill()
+        : await this.performAutoFillWithErrorHandling(userData);
 
-      visualFeedback.showCompletionSummary(results);
+      if (results.fieldsDetected > 0) {
+        visualFeedback.showCompletionSummary(results);
+      }
+
+      if (batch && results.fieldsFilled > 0) {
+        this.watchBatchSubmit(batch);
+      }
+
+      if (settings && settings.watchNewFields) {
+        const seconds = Math.max(1, Math.min(60, Number(settings.watchNewFieldsSeconds) || 10));
+        results.passes = [this.describePass(1, results)];
+        results.followUp = { seconds };
+        this.watchNewFields(userData, results, seconds);
+      }
 
       setTimeout(() => {
         visualFeedback.clearHighlights();
@@ -1328,6 +1654,140 @@ class ContentScriptController {
     }
   }
 
+  // Report the next form submit so batch mode can advance to the following record
+  watchBatchSubmit(batch) {
+    if (this.batchSubmitListener) {
+      document.removeEventListener('submit', this.batchSubmitListener, true);
+    }
+
+    this.batchSubmitListener = async () => {
+      document.removeEventListener('submit', this.batchSubmitListener, true);
+      this.batchSubmitListener = null;
+
+      try {
+        await browserAPI.runtime.sendMessage({
+          action: 'batchFormSubmitted',
+          profileId: batch.profileId,
+          recordIndex: batch.recordIndex
+        });
+      } catch (error) {
+        console.warn('Failed to report form submit for batch mode:', error);
+      }
+    };
+
+    document.addEventListener('submit', this.batchSubmitListener, true);
+  }
+
+  // Fill fields that appear after the initial fill (e.g. "State" once "Country" is chosen)
+  // until the window closes; each follow-up pass is added to results.passes
+  watchNewFields(userData, results, seconds) {
+    const known = new Set(fieldDetector.fieldCache.keys());
+    let settleTimer = null;
+
+    const observer = new MutationObserver(() => {
+      // Wait for the page to settle before scanning again
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => this.runFollowUpPass(userData, results, known), 300);
+    });
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['style', 'hidden', 'disabled', 'class']
+    });
+
+    this.followUp = {
+      observer,
+      filling: false,
+      clearSettleTimer: () => clearTimeout(settleTimer),
+      deadline: setTimeout(() => this.stopWatchingNewFields(), seconds * 1000)
+    };
+  }
+
+  stopWatchingNewFields() {
+    if (!this.followUp) {
+      return;
+    }
+    this.followUp.observer.disconnect();
+    this.followUp.clearSettleTimer();
+    clearTimeout(this.followUp.deadline);
+    this.followUp = null;
+  }
+
+  async runFollowUpPass(userData, results, known) {
+    const followUp = this.followUp;
+    // Filling changes the page too; those mutations are picked up after this pass
+    if (!followUp || followUp.filling) {
+      return;
+    }
+
+    const fresh = fieldDetector.detectFields(true).filter(field => !known.has(field.element));
+    if (fresh.length === 0) {
+      return;
+    }
+    fresh.forEach(field => known.add(field.element));
+
+    followUp.filling = true;
+    const number = results.passes.length + 1;
+    try {
+      const passResults = await this.performAutoFill(userData, fresh);
+      const pass = this.describePass(number, passResults);
+      results.passes.push(pass);
+      results.fieldsDetected += passResults.fieldsDetected;
+      results.fieldsFilled += passResults.fieldsFilled;
+      results.fieldsSkipped += passResults.fieldsSkipped;
+      results.errors.push(...passResults.errors);
+      results.warnings.push(...passResults.warnings);
+      results.filled.push(...passResults.filled);
+      visualFeedback.showCompletionSummary(results);
+      this.reportPass(pass, passResults.filled);
+    } catch (error) {
+      // Usually none of the new fields match the profile data
+      const pass = { ...this.describePass(number, { fieldsDetected: fresh.length }), error: error.message };
+      results.passes.push(pass);
+      this.reportPass(pass);
+    } finally {
+      followUp.filling = false;
+    }
+  }
+
+  // The fill response went out with pass 1, so later passes are reported on their own
+  async reportPass(pass, filled = []) {
+    try {
+      await browserAPI.runtime.sendMessage({
+        action: 'followUpPass',
+        pass: { ...pass, frameUrl: window.location.href, filled }
+      });
+    } catch (error) {
+      console.warn('Failed to report follow-up pass:', error);
+    }
+  }
+
+  // Results of a fill that found no fields
+  describeEmptyFill() {
+    return {
+      fieldsDetected: 0,
+      fieldsFilled: 0,
+      fieldsSkipped: 0,
+      errors: [],
+      warnings: [],
+      filled: [],
+      templateIssues: [],
+      frameUrl: window.location.href
+    };
+  }
+
+  // Summary of one fill pass; pass 1 is the initial fill
+  describePass(number, passResults) {
+    return {
+      pass: number,
+      at: Date.now(),
+      fieldsDetected: passResults.fieldsDetected || 0,
+      fieldsFilled: passResults.fieldsFilled || 0,
+      fieldsSkipped: passResults.fieldsSkipped || 0
+    };
+  }
+
   async performAutoFillWithErrorHandling(userData) {
     try {
       return await this.performAutoFill(userData);
@@ -1345,11 +1805,12 @@ class ContentScriptController {
     }
   }
 
-  async performAutoFill(userData) {
-    let fields;
+  // Fill the page, or only the given fields (used by follow-up passes)
+  async performAutoFill(userData, candidates = null) {
+    let fields = candidates;
 
     try {
-      fields = fieldDetector.detectFields(true);
+      fields = fields || fieldDetector.detectFields(true);
     } catch (detectionError) {
       throw new Error(`Field detection failed: ${detectionError.message}`);
     }
@@ -1358,9 +1819,12 @@ class ContentScriptController {
       throw new Error('No fillable fields detected on this page');
     }
 
+    // Expand {{...}} templates; values that cannot be resolved are skipped and reported
+    const templates = TemplateResolver.resolve(userData);
+
     let mappedFields;
     try {
-      mappedFields = fieldMapper.mapFieldsToData(fields, userData);
+      mappedFields = fieldMapper.mapFieldsToData(fields, templates.data);
     } catch (mappingError) {
       throw new Error(`Field mapping failed: ${mappingError.message}`);
     }
@@ -1376,7 +1840,11 @@ class ContentScriptController {
       fieldsFilled: 0,
       fieldsSkipped: 0,
       errors: [],
-      warnings: []
+      warnings: [],
+      templateIssues: templates.issues,
+      // Fields that were filled, so the summary can say which frame each one was in
+      filled: [],
+      frameUrl: window.location.href
     };
 
     // Process fields with timeout protection
@@ -1396,7 +1864,7 @@ class ContentScriptController {
         visualFeedback.showProgress(i + 1, mappedFields.length);
 
         // Validate field is still accessible
-        if (!document.contains(mappedField.field.element)) {
+        if (!mappedField.field.element.isConnected) {
           results.errors.push({
             field: mappedField.field.identifier,
             error: 'Field no longer exists in page'
@@ -1414,6 +1882,7 @@ class ContentScriptController {
 
         if (success) {
           results.fieldsFilled++;
+          results.filled.push({ field: mappedField.field.identifier, dataField: mappedField.dataField });
         } else {
           results.fieldsSkipped++;
           results.warnings.push(`Could not fill field: ${mappedField.field.identifier}`);
@@ -0,0 +1,263 @@
+/**
+ * DataPath reads and writes nested profile data with dot/bracket paths
+ * such as `address.billing.zip` or `phones[1]`, shared by every extension context
+ * Keys are separated by dots and list positions are written in brackets (0-based)
+ */
+class DataPath {
+  /**
+   * Splits a path into its segments
+   * @param {string} path - Path such as `work[0].company`
+   * @returns {(string|number)[]} Object keys (strings) and list indices (numbers)
+   * @throws {Error} When the path is empty or malformed
+   */
+  static parse(path) {
+    const text = typeof path === 'string' ? path.trim() : '';
+    const segments = [];
+    const pattern = /([^.[\]]+)|\[(\d+)\]|(\.)/y;
+    let expectKey = true;
+    let position = 0;
+    let match;
+
+    while (position < text.length && (match = pattern.exec(text))) {
+      if (match[1] !== undefined) {
+        // Keys start the path or follow a dot
+        if (!expectKey) {
+          break;
+        }
+        segments.push(match[1].trim());
+        expectKey = false;
+      } else if (match[2] !== undefined) {
+        // Indices start the path or follow a key or another index, never a dot
+        if (expectKey && segments.length > 0) {
+          break;
+        }
+        segments.push(Number(match[2]));
+        expectKey = false;
+      } else if (expectKey) {
+        break;
+      } else {
+        expectKey = true;
+      }
+      position = pattern.lastIndex;
+    }
+
+    // Keys that reach the object prototype are never valid
+    const unsafe = segment => segment === '' || ['__proto__', 'prototype', 'constructor'].includes(segment);
+    if (text === '' || position !== text.length || expectKey || segments.some(unsafe)) {
+      throw new Error(`Invalid data path "${path}"`);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Joins segments back into a path
+   * @param {(string|number)[]} segments - Keys and indices
+   * @returns {string} Path
+   */
+  static format(segments) {
+    return segments
+      .map((segment, index) => {
+        if (typeof segment === 'number') {
+          return `[${segment}]`;
+        }
+        return index === 0 ? segment : `.${segment}`;
+      })
+      .join('');
+  }
+
+  /**
+   * Checks whether a string is a valid path
+   * @param {string} path - Path to check
+   * @returns {boolean} True when parse would succeed
+   */
+  static isValid(path) {
+    try {
+      this.parse(path);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Reads the value at a path
+   * A top-level key that literally contains dots (e.g. a CSV header) is matched first
+   * @param {Object} data - Profile data
+   * @param {string} path - Path to read
+   * @returns {*} Value, or undefined when the path does not exist
+   */
+  static get(data, path) {
+    if (!data || typeof data !== 'object') {
+      return undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(data, path)) {
+      return data[path];
+    }
+    if (!this.isValid(path)) {
+      return undefined;
+    }
+
+    let current = data;
+    for (const segment of this.parse(path)) {
+      if (current === null || typeof current !== 'object' ||
+          !Object.prototype.hasOwnProperty.call(current, segment)) {
+        return undefined;
+      }
+      current = current[segment];
+    }
+    return current;
+  }
+
+  /**
+   * Writes a value at a path, creating objects and lists along the way
+   * @param {Object} data - Profile data (modified in place)
+   * @param {string} path - Path to write
+   * @param {*} value - Value to store
+   * @returns {Object} The same data object
+   * @throws {Error} When the path is malformed or runs through a non-object value
+   */
+  static set(data, path, value) {
+    const segments = this.parse(path);
+    let current = data;
+
+    segments.forEach((segment, index) => {
+      if (index === segments.length - 1) {
+        current[segment] = value;
+        return;
+      }
+
+      if (current[segment] === undefined || current[segment] === null || current[segment] === '') {
+        current[segment] = typeof segments[index + 1] === 'number' ? [] : {};
+      } else if (typeof current[segment] !== 'object') {
+        throw new Error(`Cannot set "${path}": "${this.format(segments.slice(0, index + 1))}" is not an object`);
+      }
+      current = current[segment];
+    });
+
+    return data;
+  }
+
+  /**
+   * Lists every leaf value by its path
+   * @param {Object} data - Profile data
+   * @returns {Object<string, *>} Path to leaf value, e.g. { 'address.billing.zip': '10001' }
+   */
+  static flatten(data) {
+    const flat = {};
+
+    const visit = (value, segments) => {
+      if (value !== null && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+          visit(value[key], segments.concat(Array.isArray(value) ? Number(key) : key));
+        });
+      } else if (segments.length > 0) {
+        flat[this.format(segments)] = value;
+      }
+    };
+
+    visit(data, []);
+    return flat;
+  }
+
+  /**
+   * Removes the value at a path; list items are spliced out so later items move up
+   * @param {Object} data - Profile data (modified in place)
+   * @param {string} path - Path to remove
+   * @returns {Object} The same data object
+   */
+  static unset(data, path) {
+    if (Object.prototype.hasOwnProperty.call(data, path)) {
+      delete data[path];
+      return data;
+    }
+
+    const segments = this.parse(path);
+    const last = segments.pop();
+    let current = data;
+    for (const segment of segments) {
+      if (current === null || typeof current !== 'object' ||
+          !Object.prototype.hasOwnProperty.call(current, segment)) {
+        return data;
+      }
+      current = current[segment];
+    }
+
+    if (Array.isArray(current) && typeof last === 'number') {
+      current.splice(last, 1);
+    } else if (current !== null && typeof current === 'object') {
+      delete current[last];
+    }
+    return data;
+  }
+
+  /**
+   * Compares two data objects leaf by leaf
+   * @param {Object} before - Current data
+   * @param {Object} after - New data
+   * @returns {{path: string, type: string, before: *, after: *}[]} One entry per 'added', 'changed'
+   *   or 'removed' leaf; `before` is missing for added leaves and `after` for removed ones
+   */
+  static diff(before, after) {
+    const previous = this.flatten(before || {});
+    const next = this.flatten(after || {});
+    const has = (object, path) => Object.prototype.hasOwnProperty.call(object, path);
+    const changes = [];
+
+    Object.entries(next).forEach(([path, value]) => {
+      if (!has(previous, path)) {
+        changes.push({ path, type: 'added', after: value });
+      } else if (previous[path] !== value) {
+        changes.push({ path, type: 'changed', before: previous[path], after: value });
+      }
+    });
+
+    Object.entries(previous).forEach(([path, value]) => {
+      if (!has(next, path)) {
+        changes.push({ path, type: 'removed', before: value });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Applies entries from diff to a copy of the data
+   * Removals run first, from the last list item backwards, so list positions stay valid
+   * @param {Object} data - Data the diff was taken from
+   * @param {Object[]} changes - Entries from diff, usually the ones the user accepted
+   * @returns {Object} Updated copy
+   * @throws {Error} When a new value needs a path that still holds a plain value (see set)
+   */
+  static applyChanges(data, changes) {
+    const result = JSON.parse(JSON.stringify(data || {}));
+
+    changes
+      .filter(change => change.type === 'removed')
+      .sort((a, b) => b.path.localeCompare(a.path, undefined, { numeric: true }))
+      .forEach(change => this.unset(result, change.path));
+
+    changes
+      .filter(change => change.type !== 'removed')
+      .forEach(change => {
+        // Keep top-level keys that literally contain dots (see get)
+        if (Object.prototype.hasOwnProperty.call(result, change.path)) {
+          result[change.path] = change.after;
+        } else {
+          this.set(result, change.path, change.after);
+        }
+      });
+
+    return result;
+  }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataPath;
+}
+
+// Make DataPath available globally for extension context
+if (typeof window !== 'undefined') {
+  window.DataPath = DataPath;
+}
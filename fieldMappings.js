@@ -0,0 +1,364 @@
+/**
+ * FieldMappingRegistry holds the default field mappings shared by every
+ * extension context (background, popup and content scripts)
+ * Each field type lists the aliases that identify it, a match priority and
+ * the profile editor section (group), input type and optional label it uses
+ * It also maps HTML autocomplete tokens (given-name, postal-code...) onto field types
+ */
+class FieldMappingRegistry {
+  // Priority used for field types without a registry entry (custom mappings)
+  static DEFAULT_PRIORITY = 8;
+
+  // Sections of the profile editor, in display order
+  static GROUPS = {
+    personal: 'Personal',
+    address: 'Address',
+    professional: 'Professional',
+    social: 'Social'
+  };
+
+  static DEFAULTS = {
+    firstName: {
+      aliases: ['firstName', 'first_name', 'fname', 'given_name', 'givenName', 'first-name', 'first name', 'name first', 'first'],
+      priority: 10,
+      group: 'personal'
+    },
+    lastName: {
+      aliases: ['lastName', 'last_name', 'lname', 'surname', 'familyName', 'last-name', 'last name', 'family name', 'last'],
+      priority: 10,
+      group: 'personal'
+    },
+    fullName: {
+      aliases: ['fullName', 'full_name', 'full name', 'name', 'your name', 'complete name'],
+      priority: 10,
+      group: 'personal'
+    },
+    email: {
+      aliases: ['email', 'email_address', 'emailAddress', 'e_mail', 'e-mail', 'mail', 'email address'],
+      priority: 10,
+      group: 'personal',
+      input: 'email'
+    },
+    phone: {
+      aliases: ['phone', 'telephone', 'tel', 'phone_number', 'phoneNumber', 'mobile', 'cell', 'phone number'],
+      priority: 9,
+      group: 'personal',
+      input: 'tel'
+    },
+    mobile: {
+      aliases: ['mobile', 'mobile_number', 'mobile number', 'cell', 'cellular'],
+      priority: 9,
+      group: 'personal',
+      input: 'tel'
+    },
+    street: {
+      aliases: ['street', 'address', 'address1', 'streetAddress', 'street_address', 'addr1', 'street address'],
+      priority: 9,
+      group: 'address'
+    },
+    city: {
+      aliases: ['city', 'town', 'locality'],
+      priority: 9,
+      group: 'address'
+    },
+    state: {
+      aliases: ['state', 'province', 'region', 'stateProvince'],
+      priority: 9,
+      group: 'address'
+    },
+    zipCode: {
+      aliases: ['zipCode', 'zip', 'zip_code', 'postalCode', 'postal_code', 'postal', 'postcode', 'zip code'],
+      priority: 9,
+      group: 'address',
+      label: 'ZIP / postal code'
+    },
+    country: {
+      aliases: ['country', 'countryName', 'country_name', 'nation'],
+      priority: 8,
+      group: 'address'
+    },
+    dateOfBirth: {
+      aliases: ['dateOfBirth', 'dob', 'birthDate', 'birth_date', 'birthdate', 'birthday', 'date of birth', 'birth date', 'date birth'],
+      priority: 9,
+      group: 'personal',
+      input: 'date'
+    },
+    gender: {
+      aliases: ['gender', 'sex'],
+      priority: 8,
+      group: 'personal'
+    },
+    company: {
+      aliases: ['company', 'organization', 'employer'],
+      priority: 8,
+      group: 'professional'
+    },
+    jobTitle: {
+      aliases: ['jobTitle', 'job_title', 'position'],
+      priority: 8,
+      group: 'professional'
+    },
+    department: {
+      aliases: ['department', 'dept'],
+      priority: 8,
+      group: 'professional'
+    },
+    workPhone: {
+      aliases: ['workPhone', 'work_phone', 'businessPhone'],
+      priority: 8,
+      group: 'professional',
+      input: 'tel'
+    },
+    website: {
+      aliases: ['website', 'url', 'homepage'],
+      priority: 8,
+      group: 'social',
+      input: 'url'
+    },
+    linkedIn: {
+      aliases: ['linkedIn', 'linkedin_profile', 'linkedin profile'],
+      priority: 7,
+      group: 'social',
+      input: 'url',
+      label: 'LinkedIn'
+    },
+    comments: {
+      aliases: ['comments', 'notes', 'remarks'],
+      priority: 8,
+      group: 'personal',
+      input: 'textarea'
+    },
+    bio: {
+      aliases: ['bio', 'biography', 'about'],
+      priority: 8,
+      group: 'social',
+      input: 'textarea'
+    }
+  };
+
+  // Autofill field names of the HTML autocomplete attribute (WHATWG autofill detail tokens)
+  static AUTOCOMPLETE_NAMES = [
+    'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix',
+    'nickname', 'organization-title', 'username', 'new-password', 'current-password', 'one-time-code',
+    'organization', 'street-address', 'address-line1', 'address-line2', 'address-line3',
+    'address-level4', 'address-level3', 'address-level2', 'address-level1', 'country', 'country-name',
+    'postal-code', 'cc-name', 'cc-given-name', 'cc-additional-name', 'cc-family-name', 'cc-number',
+    'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type', 'transaction-currency',
+    'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month', 'bday-year', 'sex', 'url', 'photo'
+  ];
+
+  // Autofill field names that may carry a contact type (home, work, mobile, fax, pager)
+  static AUTOCOMPLETE_CONTACT_NAMES = [
+    'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local', 'tel-local-prefix',
+    'tel-local-suffix', 'tel-extension', 'email', 'impp'
+  ];
+
+  static AUTOCOMPLETE_CONTACT_TYPES = ['home', 'work', 'mobile', 'fax', 'pager'];
+
+  // Autofill field names that fill a built-in field type; `part` picks one piece of the
+  // value, e.g. the day of dateOfBirth. Other names fill the camelCase key (address-line2 -> addressLine2)
+  static AUTOCOMPLETE_FIELDS = {
+    'name': { fieldType: 'fullName' },
+    'given-name': { fieldType: 'firstName' },
+    'family-name': { fieldType: 'lastName' },
+    'cc-name': { fieldType: 'fullName' },
+    'cc-given-name': { fieldType: 'firstName' },
+    'cc-family-name': { fieldType: 'lastName' },
+    'email': { fieldType: 'email' },
+    'tel': { fieldType: 'phone' },
+    'tel-national': { fieldType: 'phone', part: 'national' },
+    'tel-country-code': { fieldType: 'phone', part: 'countryCode' },
+    'street-address': { fieldType: 'street' },
+    'address-line1': { fieldType: 'street' },
+    'address-level2': { fieldType: 'city' },
+    'address-level1': { fieldType: 'state' },
+    'postal-code': { fieldType: 'zipCode' },
+    'country': { fieldType: 'country' },
+    'country-name': { fieldType: 'country' },
+    'bday': { fieldType: 'dateOfBirth' },
+    'bday-day': { fieldType: 'dateOfBirth', part: 'day' },
+    'bday-month': { fieldType: 'dateOfBirth', part: 'month' },
+    'bday-year': { fieldType: 'dateOfBirth', part: 'year' },
+    'sex': { fieldType: 'gender' },
+    'organization': { fieldType: 'company' },
+    'organization-title': { fieldType: 'jobTitle' },
+    'url': { fieldType: 'website' }
+  };
+
+  // Contact-typed fields with a built-in field type of their own; others use the prefixed key (workEmail)
+  static AUTOCOMPLETE_CONTACT_FIELDS = {
+    'mobile phone': 'mobile',
+    'work phone': 'workPhone',
+    'fax phone': 'fax',
+    'pager phone': 'pager'
+  };
+
+  // Autofill field names that are never filled from profile data (secrets and payment details)
+  static AUTOCOMPLETE_BLOCKED = [
+    'new-password', 'current-password', 'one-time-code', 'cc-number', 'cc-exp', 'cc-exp-month',
+    'cc-exp-year', 'cc-csc', 'cc-type', 'transaction-currency', 'transaction-amount', 'photo'
+  ];
+
+  /**
+   * Returns the default mappings in storage format
+   * @returns {Object<string, string[]>} Field type to alias list
+   */
+  static getDefaultMappings() {
+    const mappings = {};
+    Object.entries(this.DEFAULTS).forEach(([fieldType, mapping]) => {
+      mappings[fieldType] = [...mapping.aliases];
+    });
+    return mappings;
+  }
+
+  /**
+   * Checks whether a field type is one of the built-in defaults
+   * @param {string} fieldType - Field type name
+   * @returns {boolean} True for built-in field types
+   */
+  static isDefault(fieldType) {
+    return Object.prototype.hasOwnProperty.call(this.DEFAULTS, fieldType);
+  }
+
+  /**
+   * Returns the match priority for a field type
+   * @param {string} fieldType - Field type name
+   * @returns {number} Registry priority, or DEFAULT_PRIORITY for custom types
+   */
+  static getPriority(fieldType) {
+    return this.isDefault(fieldType) ? this.DEFAULTS[fieldType].priority : this.DEFAULT_PRIORITY;
+  }
+
+  /**
+   * Lists the built-in field types by editor section
+   * Each field's `input` is 'email', 'tel', 'date', 'url', 'textarea' or 'text'
+   * @returns {{group: string, label: string, fields: {fieldType: string, label: string, input: string}[]}[]}
+   *   Sections in GROUPS order
+   */
+  static getGroupedFields() {
+    return Object.entries(this.GROUPS).map(([group, label]) => ({
+      group,
+      label,
+      fields: Object.entries(this.DEFAULTS)
+        .filter(([, mapping]) => mapping.group === group)
+        .map(([fieldType, mapping]) => ({ fieldType, label: this.getLabel(fieldType), input: mapping.input || 'text' }))
+    }));
+  }
+
+  /**
+   * Returns a readable label for a field type, e.g. "dateOfBirth" -> "Date of birth"
+   * @param {string} fieldType - Field type name
+   * @returns {string} Registry label, or the name split at capitals
+   */
+  static getLabel(fieldType) {
+    if (this.isDefault(fieldType) && this.DEFAULTS[fieldType].label) {
+      return this.DEFAULTS[fieldType].label;
+    }
+    const words = fieldType.replace(/([a-z\d])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Finds the field type a data key stands for, e.g. "first_name" -> "firstName"
+   * A field type's own name wins over another type's alias ("mobile" stays "mobile")
+   * @param {string} key - Data key as found in an uploaded file
+   * @param {Object<string, string[]>} [mappings] - Field type to alias list (defaults when omitted)
+   * @returns {string|null} Field type, or null when no alias matches
+   */
+  static findFieldType(key, mappings = this.getDefaultMappings()) {
+    const normalized = String(key).trim().toLowerCase();
+    const entries = Object.entries(mappings);
+    const match = entries.find(([fieldType]) => fieldType.toLowerCase() === normalized) ||
+      entries.find(([, aliases]) => aliases.some(alias => alias.toLowerCase() === normalized));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Parses an autocomplete attribute value following the WHATWG autofill grammar:
+   * [section-*] [shipping|billing] [home|work|mobile|fax|pager] field-name [webauthn]
+   * @param {string} value - Attribute value, e.g. "section-red shipping postal-code"
+   * @returns {{section: string|null, addressType: string|null, contact: string|null, fieldName: string}|null}
+   *   Parsed token, or null for "on", "off", empty and invalid values
+   */
+  static parseAutocomplete(value) {
+    const tokens = String(value || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens[tokens.length - 1] === 'webauthn') {
+      tokens.pop();
+    }
+
+    const fieldName = tokens.pop();
+    const isContactName = this.AUTOCOMPLETE_CONTACT_NAMES.includes(fieldName);
+    if (!isContactName && !this.AUTOCOMPLETE_NAMES.includes(fieldName)) {
+      return null;
+    }
+
+    const token = { section: null, addressType: null, contact: null, fieldName };
+    if (isContactName && this.AUTOCOMPLETE_CONTACT_TYPES.includes(tokens[tokens.length - 1])) {
+      token.contact = tokens.pop();
+    }
+    if (['shipping', 'billing'].includes(tokens[tokens.length - 1])) {
+      token.addressType = tokens.pop();
+    }
+    if (tokens.length > 0 && /^section-./.test(tokens[tokens.length - 1])) {
+      token.section = tokens.pop().slice('section-'.length);
+    }
+
+    return tokens.length === 0 ? token : null;
+  }
+
+  /**
+   * Lists the data keys a parsed autocomplete token can fill, most specific first
+   * "shipping postal-code" tries shipping.zipCode, shippingZipCode, then zipCode;
+   * "work tel" tries workPhone, then phone (fax and pager numbers never fall back)
+   * @param {Object} token - Result of parseAutocomplete
+   * @returns {{keys: string[], part: string|null}|null} Candidate keys and the part of the value
+   *   to fill, or null when the field must not be filled
+   */
+  static getAutocompleteKeys(token) {
+    if (this.AUTOCOMPLETE_BLOCKED.includes(token.fieldName)) {
+      return null;
+    }
+
+    const capitalize = key => key.charAt(0).toUpperCase() + key.slice(1);
+    const entry = this.AUTOCOMPLETE_FIELDS[token.fieldName] ||
+      { fieldType: token.fieldName.replace(/-([a-z\d])/g, (match, char) => char.toUpperCase()) };
+    let keys = [entry.fieldType];
+
+    if (token.contact) {
+      const contactKey = this.AUTOCOMPLETE_CONTACT_FIELDS[`${token.contact} ${entry.fieldType}`] ||
+        token.contact + capitalize(entry.fieldType);
+      keys = ['fax', 'pager'].includes(token.contact) ? [contactKey] : [contactKey, entry.fieldType];
+    }
+    if (token.addressType) {
+      keys = keys.flatMap(key => [`${token.addressType}.${key}`, token.addressType + capitalize(key), key]);
+    }
+
+    return { keys: [...new Set(keys)], part: entry.part || null };
+  }
+
+  /**
+   * Converts storage-format mappings into weighted matcher entries
+   * @param {Object<string, string[]>} mappings - Field type to alias list
+   * @returns {Object<string, {aliases: string[], priority: number}>} Lowercased aliases with priorities
+   */
+  static toWeighted(mappings) {
+    const weighted = {};
+    Object.entries(mappings).forEach(([fieldType, aliases]) => {
+      weighted[fieldType] = {
+        aliases: aliases.map(alias => alias.toLowerCase()),
+        priority: this.getPriority(fieldType)
+      };
+    });
+    return weighted;
+  }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FieldMappingRegistry;
+}
+
+// Make FieldMappingRegistry available globally for extension context
+if (typeof window !== 'undefined') {
+  window.FieldMappingRegistry = FieldMappingRegistry;
+}
@@ -1,6 +1,6 @@
 /**
  * FileParser class for handling file upload, validation, and parsing
- * Supports JSON, CSV, and TXT file formats with security validation
+ * Supports JSON, YAML, CSV, TXT and vCard file formats with security validation
  */
 class FileParser {
   // File size limit: 5MB
@@ -12,48 +12,211 @@ class FileParser {
     'text/csv',
     'text/plain',
     'application/vnd.ms-excel', // Some CSV files
+    'application/yaml',
+    'application/x-yaml',
+    'text/yaml',
+    'text/x-yaml',
+    'text/vcard',
+    'text/x-vcard',
+    'text/directory',
     '' // Empty MIME type for files without proper detection
   ];
   
   // Allowed file extensions
-  static ALLOWED_EXTENSIONS = ['json', 'csv', 'txt'];
+  static ALLOWED_EXTENSIONS = ['json', 'yaml', 'yml', 'csv', 'txt', 'vcf'];
+  
+  // Quote character for CSV fields (RFC 4180)
+  static DEFAULT_QUOTE_CHAR = '"';
+  
+  // CSV layouts and how upload describes them
+  static CSV_LAYOUTS = {
+    rows: 'header row, one record per row',
+    keyValue: 'key/value pairs'
+  };
+  
+  // First-column headers that mark a two-column key/value CSV
+  static CSV_KEY_HEADERS = ['field', 'fields', 'field name', 'key', 'property', 'attribute'];
+  
+  // Default value sanitization policy; fieldLimits maps a field path to its own length limit
+  static DEFAULT_SANITIZATION = {
+    maxLength: 10000,
+    fieldLimits: {}
+  };
+  
+  // Control characters other than tab and line breaks, including null bytes
+  static CONTROL_CHARACTERS = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g;
+  
+  // Text encodings offered for uploads ('auto' detects from the BOM and the bytes)
+  static ENCODINGS = {
+    auto: 'Detect automatically',
+    'utf-8': 'UTF-8',
+    'utf-16le': 'UTF-16 LE',
+    'utf-16be': 'UTF-16 BE',
+    'windows-1252': 'Windows-1252 (Western European)',
+    'iso-8859-15': 'ISO-8859-15 (Latin-9)'
+  };
+  
+  // Bytes inspected when guessing UTF-16 without a BOM
+  static ENCODING_SAMPLE_SIZE = 4096;
+  
+  // Diagnostic severities, most serious first
+  static SEVERITIES = ['error', 'warning', 'info'];
   
   /**
    * Main parsing method that validates and processes uploaded files
    * @param {File} file - The uploaded file object
-   * @returns {Promise<Object>} Parsed data object
+   * @param {Object} [options] - Parser options (see parseContent)
+   * @param {string} [options.encoding='auto'] - Text encoding (see ENCODINGS)
+   * @returns {Promise<Object>} See parseContent, plus the encoding the file was read with
    * @throws {Error} Validation or parsing errors
    */
-  static async parse(file) {
+  static async parse(file, options = {}) {
+    let decoded;
     try {
       // Validate file before processing
       this.validateFile(file);
       
-      // Read file content asynchronously
-      const content = await this.readFileAsync(file);
-      
+      // Read file content asynchronously and decode it
+      const bytes = await this.readFileAsync(file);
+      decoded = this.decodeBytes(bytes, options.encoding);
+    } catch (error) {
+      // Re-throw with context for better error handling
+      throw this.failure(error, []);
+    }
+    
+    return { ...this.parseContent(decoded.content, file.name, options), encoding: decoded.encoding };
+  }
+  
+  /**
+   * Parses file content that has already been read, choosing the parser by extension
+   * Used where the file was read elsewhere, e.g. content sent to the background script
+   * @param {string} content - Raw file content
+   * @param {string} filename - Original filename, used to determine the format
+   * @param {Object} [options] - Parser options; CSV options are described in parseCSV
+   * @param {Object} [options.sanitization] - Value policy (see applySanitizationPolicy)
+   * @returns {{data: Object, records: Object[], layout: string|null, source: string|null, changes: Object[],
+   *   diagnostics: Object[]}} First record, every parsed record, the CSV layout, the recognised document schema
+   *   (see ImportAdapters.SOURCES), the values changed by the sanitization policy and the parser diagnostics
+   *   (see diagnostic)
+   * @throws {Error} Parsing errors, with a `diagnostics` property that ends with the fatal error
+   */
+  static parseContent(content, filename, options = {}) {
+    const diagnostics = [];
+    
+    try {
       // Determine file type and parse accordingly
-      const extension = this.getFileExtension(file.name);
+      const extension = this.getFileExtension(filename);
+      let records;
+      let layout = null;
+      let source = null;
       
       switch (extension) {
         case 'json':
-          return this.parseJSON(content);
+          ({ records, source } = this.parseJSON(content, diagnostics));
+          break;
+        case 'yaml':
+        case 'yml':
+          ({ records, source } = this.parseYAML(content, diagnostics));
+          break;
         case 'csv':
-          return this.parseCSV(content);
+          ({ records, layout } = this.parseCSV(content, options, diagnostics));
+          break;
         case 'txt':
-          return this.parseTXT(content);
+          records = [this.parseTXT(content, diagnostics)];
+          break;
+        case 'vcf':
+          records = this.parseVCF(content, diagnostics);
+          break;
         default:
           throw new Error(`Unsupported file format: ${extension}`);
       }
+      
+      const sanitized = this.applySanitizationPolicy(records, options.sanitization);
+      
+      return {
+        data: sanitized.records[0],
+        records: sanitized.records,
+        layout: layout,
+        source: source,
+        changes: sanitized.changes,
+        diagnostics: diagnostics
+      };
     } catch (error) {
       // Re-throw with context for better error handling
-      throw new Error(`File parsing failed: ${error.message}`);
+      throw this.failure(error, diagnostics);
+    }
+  }
+  
+  /**
+   * Builds a parser diagnostic
+   * @param {string} severity - 'error', 'warning' or 'info' (see SEVERITIES)
+   * @param {string} message - What is wrong and what happens to the data
+   * @param {number|null} [line=null] - 1-based line number, when known
+   * @param {number|null} [column=null] - 1-based column number, when known
+   * @returns {{line: number|null, column: number|null, severity: string, message: string}} Diagnostic
+   */
+  static diagnostic(severity, message, line = null, column = null) {
+    return { line, column, severity, message };
+  }
+  
+  /**
+   * Formats a diagnostic for display
+   * @param {Object} diagnostic - Diagnostic from parseContent
+   * @returns {string} e.g. "Line 3, column 7: Row has 4 values..."
+   */
+  static formatDiagnostic(diagnostic) {
+    if (diagnostic.line === null || diagnostic.line === undefined) {
+      return diagnostic.message;
     }
+    const column = diagnostic.column ? `, column ${diagnostic.column}` : '';
+    return `Line ${diagnostic.line}${column}: ${diagnostic.message}`;
+  }
+  
+  /**
+   * Wraps a parsing error for callers, keeping the diagnostics collected so far
+   * The error's own line and column (YAML, CSV, vCard) become the final error diagnostic
+   * @param {Error} error - Original error
+   * @param {Object[]} diagnostics - Diagnostics collected before the error
+   * @returns {Error} Error with "File parsing failed" context and a `diagnostics` property
+   */
+  static failure(error, diagnostics) {
+    const wrapped = new Error(`File parsing failed: ${error.message}`);
+    wrapped.diagnostics = diagnostics.concat(
+      this.diagnostic('error', error.message, error.line ?? null, error.column ?? null)
+    );
+    return wrapped;
+  }
+  
+  /**
+   * Re-throws an error with a format prefix, keeping its line and column
+   * @param {string} context - Prefix such as "CSV parsing failed"
+   * @param {Error} error - Original error
+   * @returns {Error} Error to throw
+   */
+  static withContext(context, error) {
+    const wrapped = new Error(`${context}: ${error.message}`);
+    wrapped.line = error.line;
+    wrapped.column = error.column;
+    return wrapped;
+  }
+  
+  /**
+   * Builds an error that carries its position, for diagnostics
+   * @param {string} message - Error message
+   * @param {number} line - 1-based line number
+   * @param {number} [column] - 1-based column number
+   * @returns {Error} Error with line and column properties
+   */
+  static positionedError(message, line, column = null) {
+    const error = new Error(message);
+    error.line = line;
+    error.column = column;
+    return error;
   }
   
   /**
    * Validates file type, size, and security constraints
-   * @param {File} file - The file to validate
+   * @param {File|{name: string, size: number, type: string}} file - The file (or its metadata) to validate
    * @throws {Error} Validation errors
    */
   static validateFile(file) {
@@ -123,14 +286,14 @@ class FileParser {
   /**
    * Reads file content asynchronously using FileReader API
    * @param {File} file - The file to read
-   * @returns {Promise<string>} File content as text
+   * @returns {Promise<Uint8Array>} Raw file bytes (decoded by decodeBytes)
    */
   static readFileAsync(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       
       reader.onload = (event) => {
-        resolve(event.target.result);
+        resolve(new Uint8Array(event.target.result));
       };
       
       reader.onerror = () => {
@@ -141,193 +304,573 @@ class FileParser {
         reject(new Error('File reading was aborted'));
       };
       
-      // Read file as text with UTF-8 encoding
-      reader.readAsText(file, 'UTF-8');
+      // Read raw bytes; the encoding is chosen afterwards
+      reader.readAsArrayBuffer(file);
     });
+  }
+  
+  /**
+   * Decodes file bytes to text
+   * @param {Uint8Array} bytes - Raw file bytes
+   * @param {string} [encoding='auto'] - Encoding name from ENCODINGS, or 'auto' to detect it
+   * @returns {{content: string, encoding: string}} Decoded text (without BOM) and the encoding used
+   * @throws {Error} For an unknown encoding
+   */
+  static decodeBytes(bytes, encoding = 'auto') {
+    const name = !encoding || encoding === 'auto' ? this.detectEncoding(bytes) : encoding;
+    if (name === 'auto' || !Object.prototype.hasOwnProperty.call(this.ENCODINGS, name)) {
+      throw new Error(`Unsupported encoding: ${encoding}`);
+    }
+    
+    return { content: new TextDecoder(name).decode(bytes), encoding: name };
+  }
+  
+  /**
+   * Detects the text encoding of file bytes
+   * Uses the byte order mark when present, then looks for the zero bytes of
+   * UTF-16 text, then checks for valid UTF-8; anything else is read as Windows-1252
+   * @param {Uint8Array} bytes - Raw file bytes
+   * @returns {string} Encoding name from ENCODINGS
+   */
+  static detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return 'utf-8';
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return 'utf-16le';
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return 'utf-16be';
+    }
+    
+    // ASCII-range text in UTF-16 has a zero byte in every other position
+    const sample = bytes.subarray(0, this.ENCODING_SAMPLE_SIZE);
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs > 0) {
+      let evenZeros = 0;
+      let oddZeros = 0;
+      for (let i = 0; i < pairs * 2; i += 2) {
+        evenZeros += sample[i] === 0 ? 1 : 0;
+        oddZeros += sample[i + 1] === 0 ? 1 : 0;
+      }
+      if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) {
+        return 'utf-16le';
+      }
+      if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) {
+        return 'utf-16be';
+      }
+    }
+    
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return 'utf-8';
+    } catch (error) {
+      return 'windows-1252';
+    }
+  }
+  
+  /**
+   * Lists values containing non-ASCII characters, so the user can check they were decoded correctly
+   * @param {Object[]} records - Parsed records
+   * @param {number} [limit=5] - Maximum number of values to return
+   * @returns {{field: string, value: string}[]} Distinct values with their field path
+   */
+  static findNonASCIIValues(records, limit = 5) {
+    const found = [];
+    const seen = new Set();
+    
+    const visit = (value, path) => {
+      if (found.length >= limit) {
+        return;
+      }
+      if (value !== null && typeof value === 'object') {
+        Object.entries(value).forEach(([key, nested]) => {
+          visit(nested, Array.isArray(value) ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+        });
+      } else if (typeof value === 'string' && /[^\x00-\x7F]/.test(value) && !seen.has(value)) {
+        seen.add(value);
+        found.push({ field: path, value });
+      }
+    };
+    
+    records.forEach(record => visit(record, ''));
+    return found;
   }  /**
 
    * Parses JSON file content and validates structure
+   * An object is one record; an array of objects is one record per element
    * @param {string} content - Raw JSON content
-   * @returns {Object} Parsed and validated JSON data
-   * @throws {Error} JSON parsing or validation errors
+   * @param {Object[]} [diagnostics] - Collects warnings (see diagnostic)
+   * @returns {{records: Object[], source: string|null}} Parsed and validated records (see adaptDocument)
+   * @throws {Error} JSON parsing or validation errors; syntax errors carry their line and column
    */
-  static parseJSON(content) {
+  static parseJSON(content, diagnostics = []) {
     try {
       if (!content || content.trim() === '') {
         throw new Error('JSON file is empty');
       }
       
       // Parse JSON content
-      const data = JSON.parse(content);
+      return this.adaptDocument(JSON.parse(content), 'JSON', diagnostics);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        const position = this.findJSONErrorPosition(content, error.message);
+        throw this.positionedError(`Invalid JSON format: ${error.message}`, position.line, position.column);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Works out where a JSON syntax error is from the engine's message
+   * Browsers report either "line L column C" or "at position N"
+   * @param {string} content - Raw JSON content
+   * @param {string} message - SyntaxError message
+   * @returns {{line: number|null, column: number|null}} 1-based position, or nulls when unknown
+   */
+  static findJSONErrorPosition(content, message) {
+    const lineColumn = message.match(/line (\d+) column (\d+)/);
+    if (lineColumn) {
+      return { line: Number(lineColumn[1]), column: Number(lineColumn[2]) };
+    }
+    
+    const offset = message.match(/position (\d+)/);
+    if (offset) {
+      const before = content.slice(0, Number(offset[1])).split(/\r\n|\r|\n/);
+      return { line: before.length, column: before[before.length - 1].length + 1 };
+    }
+    
+    return { line: null, column: null };
+  }
+  
+  /**
+   * Parses YAML file content and validates structure
+   * A mapping is one record; a list of mappings is one record per item
+   * @param {string} content - Raw YAML content
+   * @param {Object[]} [diagnostics] - Collects warnings (see diagnostic)
+   * @returns {{records: Object[], source: string|null}} Parsed and validated records (see adaptDocument)
+   * @throws {Error} YAML syntax errors (with line and column) or validation errors
+   */
+  static parseYAML(content, diagnostics = []) {
+    try {
+      if (!content || content.trim() === '') {
+        throw new Error('YAML file is empty');
+      }
       
-      // Validate that it's an object (not array or primitive)
-      if (typeof data !== 'object' || data === null || Array.isArray(data)) {
-        throw new Error('JSON must contain an object with key-value pairs');
+      if (typeof YamlParser === 'undefined') {
+        throw new Error('YAML parser not available');
       }
       
-      // Validate that object has at least one property
-      if (Object.keys(data).length === 0) {
-        throw new Error('JSON object cannot be empty');
+      return this.adaptDocument(YamlParser.parse(content), 'YAML', diagnostics);
+    } catch (error) {
+      throw this.withContext('YAML parsing failed', error);
+    }
+  }
+  
+  /**
+   * Parses vCard (.vcf) content, one record per contact
+   * Properties are mapped onto canonical field types by VCardParser
+   * @param {string} content - Raw vCard content
+   * @param {Object[]} [diagnostics] - Collects warnings (see diagnostic)
+   * @returns {Object[]} Parsed and validated records
+   * @throws {Error} vCard structure or validation errors
+   */
+  static parseVCF(content, diagnostics = []) {
+    try {
+      if (!content || content.trim() === '') {
+        throw new Error('vCard file is empty');
       }
       
-      // Validate data types and sanitize
-      const sanitizedData = this.sanitizeJSONData(data);
+      if (typeof VCardParser === 'undefined') {
+        throw new Error('vCard parser not available');
+      }
       
-      return sanitizedData;
+      const contacts = VCardParser.parse(content, (message, line) => {
+        diagnostics.push(this.diagnostic('warning', message, line));
+      });
+      return this.toRecords(contacts, 'vCard', diagnostics);
     } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error(`Invalid JSON format: ${error.message}`);
+      throw this.withContext('vCard parsing failed', error);
+    }
+  }
+  
+  /**
+   * Turns a parsed JSON or YAML document into records, translating known schemas
+   * (JSON Resume, schema.org Person) into canonical fields first
+   * @param {*} data - Parsed document
+   * @param {string} format - Format name for error messages
+   * @param {Object[]} [diagnostics] - Collects warnings (see diagnostic)
+   * @returns {{records: Object[], source: string|null}} Sanitized records and the recognised schema, if any
+   * @throws {Error} When a recognised schema yields no fields at all
+   */
+  static adaptDocument(data, format, diagnostics = []) {
+    const adapted = typeof ImportAdapters !== 'undefined' ? ImportAdapters.adapt(data) : null;
+    if (!adapted) {
+      return { records: this.toRecords(data, format, diagnostics), source: null };
+    }
+    
+    // A document of the right type without usable properties maps to empty records
+    const sourceName = ImportAdapters.SOURCES[adapted.source];
+    const records = adapted.records.filter(record => Object.keys(record).length > 0);
+    if (records.length === 0) {
+      throw new Error(`${format} file is a ${sourceName} document, but none of its properties could be imported`);
+    }
+    adapted.records.forEach((record, index) => {
+      if (Object.keys(record).length === 0) {
+        diagnostics.push(this.diagnostic('warning', `${sourceName} entry ${index + 1} has no fields that can be imported and was skipped`));
       }
-      throw error;
+    });
+    
+    return {
+      records: records.map(record => this.sanitizeJSONData(record, diagnostics)),
+      source: adapted.source
+    };
+  }
+  
+  /**
+   * Validates parsed JSON, YAML or vCard data and turns it into sanitized records
+   * @param {*} data - Parsed document
+   * @param {string} format - Format name for error messages
+   * @param {Object[]} [diagnostics] - Collects warnings (see diagnostic)
+   * @returns {Object[]} Sanitized records
+   * @throws {Error} When the document is not an object or a list of objects
+   */
+  static toRecords(data, format, diagnostics = []) {
+    const items = Array.isArray(data) ? data : [data];
+    
+    if (items.length === 0) {
+      throw new Error(`${format} list cannot be empty`);
     }
+    
+    return items.map((item, index) => {
+      const position = Array.isArray(data) ? ` (item ${index + 1})` : '';
+      
+      // Validate that it's an object (not array or primitive)
+      if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+        throw new Error(`${format} must contain an object with key-value pairs${position}`);
+      }
+      
+      // Validate that object has at least one property
+      if (Object.keys(item).length === 0) {
+        throw new Error(`${format} object cannot be empty${position}`);
+      }
+      
+      // Validate data types and sanitize
+      return this.sanitizeJSONData(item, diagnostics);
+    });
   }
   
   /**
    * Sanitizes and validates JSON data values
+   * Nested objects and lists are kept, so values stay addressable by path (see DataPath)
    * @param {Object} data - Raw JSON data
+   * @param {Object[]} [diagnostics] - Collects a warning for every skipped key
    * @returns {Object} Sanitized data
    */
-  static sanitizeJSONData(data) {
+  static sanitizeJSONData(data, diagnostics = []) {
     const sanitized = {};
     
     for (const [key, value] of Object.entries(data)) {
-      // Validate key
-      if (typeof key !== 'string' || key.trim() === '') {
-        continue; // Skip invalid keys
-      }
-      
-      // Sanitize key (remove suspicious characters)
+      // Sanitize key (remove suspicious characters) and skip keys left empty
       const cleanKey = key.replace(/[<>'"&]/g, '').trim();
       if (cleanKey === '') {
+        diagnostics.push(this.diagnostic('warning', `Key "${key}" has no usable characters; its value was skipped`));
         continue;
       }
       
-      // Process value based on type
-      if (value === null || value === undefined) {
-        sanitized[cleanKey] = '';
-      } else if (typeof value === 'string') {
-        // Sanitize string values
-        sanitized[cleanKey] = this.sanitizeStringValue(value);
-      } else if (typeof value === 'number' && isFinite(value)) {
-        sanitized[cleanKey] = value.toString();
-      } else if (typeof value === 'boolean') {
-        sanitized[cleanKey] = value.toString();
-      } else if (Array.isArray(value)) {
-        // Convert arrays to comma-separated strings
-        sanitized[cleanKey] = value
-          .filter(item => item !== null && item !== undefined)
-          .map(item => this.sanitizeStringValue(String(item)))
-          .join(', ');
-      } else if (typeof value === 'object') {
-        // Flatten nested objects (one level only)
-        for (const [nestedKey, nestedValue] of Object.entries(value)) {
-          const combinedKey = `${cleanKey}_${nestedKey}`.replace(/[<>'"&]/g, '');
-          if (nestedValue !== null && nestedValue !== undefined) {
-            sanitized[combinedKey] = this.sanitizeStringValue(String(nestedValue));
-          }
-        }
-      } else {
-        // Convert other types to string
-        sanitized[cleanKey] = this.sanitizeStringValue(String(value));
-      }
+      sanitized[cleanKey] = this.sanitizeJSONValue(value, diagnostics);
     }
     
     return sanitized;
   }
   
   /**
-   * Sanitizes string values to prevent XSS and other issues
-   * @param {string} value - String value to sanitize
-   * @returns {string} Sanitized string
+   * Sanitizes one JSON value, recursing into objects and lists
+   * @param {*} value - Raw JSON value
+   * @param {Object[]} [diagnostics] - Collects warnings from nested objects
+   * @returns {string|Array|Object} Sanitized value; scalars become strings
+   */
+  static sanitizeJSONValue(value, diagnostics = []) {
+    if (value === null || value === undefined) {
+      return '';
+    } else if (typeof value === 'string') {
+      // Sanitize string values
+      return this.sanitizeStringValue(value);
+    } else if (typeof value === 'number' && isFinite(value)) {
+      return value.toString();
+    } else if (typeof value === 'boolean') {
+      return value.toString();
+    } else if (Array.isArray(value)) {
+      // Keep list positions so phones[1] still points at the second number
+      return value.map(item => this.sanitizeJSONValue(item, diagnostics));
+    } else if (typeof value === 'object') {
+      return this.sanitizeJSONData(value, diagnostics);
+    }
+    
+    // Convert other types to string
+    return this.sanitizeStringValue(String(value));
+  }
+  
+  /**
+   * Normalizes a string value while parsing
+   * Characters such as ' & < > are kept: values are only ever assigned through
+   * .value or textContent. Control characters and length limits are handled
+   * afterwards by applySanitizationPolicy, which reports what it changed.
+   * @param {string} value - String value to normalize
+   * @returns {string} Trimmed string
    */
   static sanitizeStringValue(value) {
     if (typeof value !== 'string') {
       value = String(value);
     }
     
-    // Remove or escape potentially dangerous characters
-    return value
-      .replace(/[<>'"&]/g, '') // Remove HTML/XML characters
-      .replace(/\x00/g, '')    // Remove null bytes
-      .trim()
-      .substring(0, 1000);     // Limit length to prevent memory issues
+    return value.trim();
+  }
+  
+  /**
+   * Applies the value sanitization policy to parsed records
+   * Removes control characters and null bytes, and truncates values over their length limit
+   * @param {Object[]} records - Parsed records
+   * @param {Object} [policy] - Sanitization policy (defaults to DEFAULT_SANITIZATION)
+   * @param {number} [policy.maxLength] - Length limit for every value
+   * @param {Object<string, number>} [policy.fieldLimits] - Length limits by field path (e.g. bio or address.street)
+   * @returns {{records: Object[], changes: {record: number, field: string, reason: string}[]}} Sanitized
+   *   copies of the records and one entry per changed value
+   */
+  static applySanitizationPolicy(records, policy = {}) {
+    const maxLength = Number(policy?.maxLength) > 0 ? Number(policy.maxLength) : this.DEFAULT_SANITIZATION.maxLength;
+    const fieldLimits = policy?.fieldLimits || {};
+    const changes = [];
+    
+    const sanitize = (value, path, record) => {
+      if (Array.isArray(value)) {
+        return value.map((item, index) => sanitize(item, `${path}[${index}]`, record));
+      }
+      if (value !== null && typeof value === 'object') {
+        const result = {};
+        for (const [key, nested] of Object.entries(value)) {
+          result[key] = sanitize(nested, path ? `${path}.${key}` : key, record);
+        }
+        return result;
+      }
+      if (typeof value !== 'string') {
+        return value;
+      }
+      
+      let clean = value.replace(this.CONTROL_CHARACTERS, '');
+      if (clean !== value) {
+        changes.push({ record, field: path, reason: 'control characters removed' });
+      }
+      
+      const limit = Number(fieldLimits[path]) > 0 ? Number(fieldLimits[path]) : maxLength;
+      if (clean.length > limit) {
+        clean = clean.substring(0, limit);
+        changes.push({ record, field: path, reason: `truncated to ${limit} characters` });
+      }
+      
+      return clean;
+    };
+    
+    return {
+      records: records.map((record, index) => sanitize(record, '', index)),
+      changes
+    };
+  }
+  
+  /**
+   * Describes the values changed by applySanitizationPolicy for an upload warning
+   * @param {Object[]} changes - Changes reported by applySanitizationPolicy
+   * @param {number} [limit=3] - Number of changes to list by name
+   * @returns {string} Warning text
+   */
+  static describeChanges(changes, limit = 3) {
+    const listed = changes
+      .slice(0, limit)
+      .map(change => `${change.field} (record ${change.record + 1}: ${change.reason})`);
+    const more = changes.length > limit ? `, and ${changes.length - limit} more` : '';
+    const noun = changes.length === 1 ? 'value was' : 'values were';
+    
+    return `${changes.length} ${noun} changed on import: ${listed.join(', ')}${more}`;
   }  /**
 
    * Parses CSV file content with header detection and delimiter identification
+   * Follows RFC 4180: quoted fields may contain delimiters, line breaks and doubled quotes
    * @param {string} content - Raw CSV content
-   * @returns {Object} Parsed CSV data as key-value pairs
+   * @param {Object} [options] - Parsing options
+   * @param {string} [options.quoteChar='"'] - Character that encloses quoted fields
+   * @param {Object[]} [diagnostics] - Collects warnings about ragged rows and repeated names (see diagnostic)
+   * @returns {{records: Object[], layout: string}} Parsed records and the detected layout (see CSV_LAYOUTS)
    * @throws {Error} CSV parsing errors
    */
-  static parseCSV(content) {
+  static parseCSV(content, options = {}, diagnostics = []) {
     try {
       if (!content || content.trim() === '') {
         throw new Error('CSV file is empty');
       }
       
-      // Normalize line endings
-      const normalizedContent = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+      const quoteChar = options.quoteChar || this.DEFAULT_QUOTE_CHAR;
+      if (quoteChar.length !== 1) {
+        throw new Error('Quote character must be a single character');
+      }
+      
+      // Strip byte order mark and normalize line endings
+      const normalizedContent = content
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n/g, '\n')
+        .replace(/\r/g, '\n');
       
       // Detect delimiter
       const delimiter = this.detectCSVDelimiter(normalizedContent);
+      if (delimiter === quoteChar) {
+        throw new Error('Quote character cannot be the same as the delimiter');
+      }
       
-      // Split into lines
-      const lines = normalizedContent.split('\n').filter(line => line.trim() !== '');
+      // Tokenize into rows, skipping blank lines; lines[i] is where rows[i] starts
+      const rows = [];
+      const lines = [];
+      for (const { values, line } of this.tokenizeCSV(normalizedContent, delimiter, quoteChar)) {
+        if (!values.every(value => value.trim() === '')) {
+          rows.push(values);
+          lines.push(line);
+        }
+      }
       
-      if (lines.length < 2) {
+      if (rows.length < 2) {
         throw new Error('CSV must have at least a header row and one data row');
       }
       
-      // Parse header row
-      const headers = this.parseCSVRow(lines[0], delimiter);
+      // Pick the layout, then build records from it
+      const layout = this.detectCSVLayout(rows);
+      let records;
       
-      if (headers.length === 0) {
-        throw new Error('CSV header row is empty or invalid');
+      switch (layout) {
+        case 'keyValue':
+          records = [this.buildKeyValueRecord(rows, lines, diagnostics)];
+          break;
+        default:
+          records = this.buildRowRecords(rows, lines, diagnostics);
       }
       
-      // Validate headers
-      const cleanHeaders = headers.map(header => {
-        const clean = header.replace(/[<>'"&]/g, '').trim();
-        if (clean === '') {
-          throw new Error('CSV contains empty or invalid header names');
-        }
-        return clean;
-      });
+      if (records.length === 0) {
+        throw new Error('CSV contains no valid data rows');
+      }
       
-      // Parse data rows and create objects
-      const dataObjects = [];
+      return { records, layout };
+    } catch (error) {
+      throw this.withContext('CSV parsing failed', error);
+    }
+  }
+  
+  /**
+   * Detects whether CSV rows hold one record per row or key/value pairs
+   * Key/value files have exactly two columns and a first header such as "Field" or "Key";
+   * wider tables with a "Field" column are ordinary rows
+   * @param {string[][]} rows - Tokenized non-blank rows, header first
+   * @returns {string} Layout name: 'rows' or 'keyValue'
+   */
+  static detectCSVLayout(rows) {
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    
+    if (headers.length === 2 && this.CSV_KEY_HEADERS.includes(headers[0])) {
+      return 'keyValue';
+    }
+    
+    return 'rows';
+  }
+  
+  /**
+   * Cleans a header or key name, rejecting names that end up empty
+   * @param {string} name - Raw name from the CSV
+   * @param {string} [kind='header'] - What the name is, for the error message
+   * @returns {string} Cleaned name
+   * @throws {Error} When the name is empty or invalid
+   */
+  static cleanCSVName(name, kind = 'header') {
+    const clean = name.replace(/[<>'"&]/g, '').trim();
+    if (clean === '') {
+      throw new Error(`CSV contains empty or invalid ${kind} names`);
+    }
+    return clean;
+  }
+  
+  /**
+   * Warns about names that appear more than once; the later value wins
+   * @param {string[]} names - Cleaned names in order
+   * @param {number[]} lines - Line of each name
+   * @param {string} kind - What the names are, for the message
+   * @param {Object[]} diagnostics - Collects the warnings
+   */
+  static checkDuplicateNames(names, lines, kind, diagnostics) {
+    const seen = new Set();
+    names.forEach((name, index) => {
+      if (seen.has(name)) {
+        diagnostics.push(this.diagnostic('warning', `${kind} "${name}" appears more than once; the last value is used`, lines[index]));
+      }
+      seen.add(name);
+    });
+  }
+  
+  /**
+   * Builds one record per data row, keyed by the header row
+   * @param {string[][]} rows - Tokenized rows, header first
+   * @param {number[]} [lines] - Line each row starts on
+   * @param {Object[]} [diagnostics] - Collects warnings about ragged rows and repeated headers
+   * @returns {Object[]} Records
+   */
+  static buildRowRecords(rows, lines = [], diagnostics = []) {
+    const headers = rows[0].map(header => this.cleanCSVName(header));
+    const records = [];
+    
+    this.checkDuplicateNames(headers, headers.map(() => lines[0]), 'Column', diagnostics);
+    
+    for (let i = 1; i < rows.length; i++) {
+      const values = rows[i];
       
-      for (let i = 1; i < lines.length; i++) {
-        const values = this.parseCSVRow(lines[i], delimiter);
-        
-        // Skip empty rows
-        if (values.every(val => val.trim() === '')) {
-          continue;
-        }
-        
-        const rowData = {};
-        for (let j = 0; j < cleanHeaders.length; j++) {
-          const value = j < values.length ? values[j] : '';
-          rowData[cleanHeaders[j]] = this.sanitizeStringValue(value);
-        }
-        
-        dataObjects.push(rowData);
+      const count = `Row has ${values.length} ${values.length === 1 ? 'value' : 'values'} but the header has ${headers.length} columns`;
+      if (values.length > headers.length) {
+        diagnostics.push(this.diagnostic('warning', `${count}; the extra values were ignored`, lines[i], headers.length + 1));
+      } else if (values.length < headers.length) {
+        diagnostics.push(this.diagnostic('info', `${count}; the missing values were left empty`, lines[i]));
       }
       
-      if (dataObjects.length === 0) {
-        throw new Error('CSV contains no valid data rows');
+      const rowData = {};
+      for (let j = 0; j < headers.length; j++) {
+        const value = j < values.length ? values[j] : '';
+        rowData[headers[j]] = this.sanitizeStringValue(value);
       }
       
-      // For form filling, we typically want the first row of data
-      // But we'll merge all rows into a single object, with later rows overriding earlier ones
-      const mergedData = {};
-      dataObjects.forEach(row => {
-        Object.assign(mergedData, row);
-      });
+      records.push(rowData);
+    }
+    
+    return records;
+  }
+  
+  /**
+   * Pivots a two-column Field,Value CSV into a single record
+   * @param {string[][]} rows - Tokenized rows, header first
+   * @param {number[]} [lines] - Line each row starts on
+   * @param {Object[]} [diagnostics] - Collects warnings about extra values and repeated fields
+   * @returns {Object} Record keyed by the first column
+   */
+  static buildKeyValueRecord(rows, lines = [], diagnostics = []) {
+    const record = {};
+    const keys = [];
+    
+    for (let i = 1; i < rows.length; i++) {
+      const [key, value = '', ...extra] = rows[i];
+      const cleanKey = this.cleanCSVName(key, 'field');
       
-      return mergedData;
-    } catch (error) {
-      throw new Error(`CSV parsing failed: ${error.message}`);
+      if (extra.some(item => item.trim() !== '')) {
+        diagnostics.push(this.diagnostic('warning',
+          `Field "${cleanKey}" has more than one value; only the first was used`, lines[i], 3));
+      }
+      
+      keys.push(cleanKey);
+      record[cleanKey] = this.sanitizeStringValue(value);
     }
+    
+    this.checkDuplicateNames(keys, lines.slice(1), 'Field', diagnostics);
+    return record;
   }
   
   /**
@@ -371,60 +914,89 @@ class FileParser {
   }
   
   /**
-   * Parses a single CSV row, handling quoted values
-   * @param {string} row - CSV row string
+   * Tokenizes CSV content one character at a time, yielding each row as it completes
+   * A quote only opens a quoted field at the start of a field, so apostrophes in values like O'Brien are kept
+   * @param {string} content - CSV content with normalized (\n) line endings
    * @param {string} delimiter - Delimiter character
-   * @returns {string[]} Array of field values
+   * @param {string} quoteChar - Quote character
+   * @yields {{values: string[], line: number}} Field values of one row and the line it starts on
+   * @throws {Error} When a quoted field is never closed
    */
-  static parseCSVRow(row, delimiter) {
-    const values = [];
+  static *tokenizeCSV(content, delimiter, quoteChar) {
+    let row = [];
     let current = '';
     let inQuotes = false;
-    let quoteChar = '';
-    
-    for (let i = 0; i < row.length; i++) {
-      const char = row[i];
-      const nextChar = i < row.length - 1 ? row[i + 1] : '';
-      
-      if (!inQuotes) {
-        if (char === '"' || char === "'") {
-          inQuotes = true;
-          quoteChar = char;
-        } else if (char === delimiter) {
-          values.push(current.trim());
-          current = '';
-        } else {
-          current += char;
-        }
-      } else {
+    let wasQuoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+    
+    const endField = () => {
+      // Unquoted values are trimmed; quoted values keep their inner whitespace
+      row.push(wasQuoted ? current : current.trim());
+      current = '';
+      wasQuoted = false;
+    };
+    
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      
+      if (inQuotes) {
         if (char === quoteChar) {
-          if (nextChar === quoteChar) {
+          if (content[i + 1] === quoteChar) {
             // Escaped quote
             current += char;
             i++; // Skip next character
           } else {
             // End of quoted section
             inQuotes = false;
-            quoteChar = '';
           }
         } else {
+          if (char === '\n') {
+            line++;
+          }
           current += char;
         }
+      } else if (char === quoteChar && !wasQuoted && current.trim() === '') {
+        // Opening quote at the start of a field (leading spaces are dropped)
+        inQuotes = true;
+        wasQuoted = true;
+        quoteLine = line;
+        current = '';
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n') {
+        endField();
+        yield { values: row, line: rowLine };
+        row = [];
+        line++;
+        rowLine = line;
+      } else if (wasQuoted && char.trim() === '') {
+        // Ignore spaces between a closing quote and the next delimiter
+        continue;
+      } else {
+        current += char;
       }
     }
     
-    // Add the last value
-    values.push(current.trim());
+    if (inQuotes) {
+      throw this.positionedError(`Unterminated quoted field starting on line ${quoteLine}`, quoteLine);
+    }
     
-    return values;
+    // Add the last row unless the content ended with a line break
+    if (current !== '' || wasQuoted || row.length > 0) {
+      endField();
+      yield { values: row, line: rowLine };
+    }
   }  /**
 
    * Parses TXT file content in key-value pair format
    * @param {string} content - Raw TXT content
+   * @param {Object[]} [diagnostics] - Collects a warning for every skipped or repeated line (see diagnostic)
    * @returns {Object} Parsed key-value pairs
    * @throws {Error} TXT parsing errors
    */
-  static parseTXT(content) {
+  static parseTXT(content, diagnostics = []) {
     try {
       if (!content || content.trim() === '') {
         throw new Error('TXT file is empty');
@@ -433,46 +1005,44 @@ class FileParser {
       // Normalize line endings
       const normalizedContent = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
       
-      // Split into lines and filter out empty lines
+      // Split into lines, keeping their numbers, and filter out empty lines and comments
       const lines = normalizedContent
         .split('\n')
-        .map(line => line.trim())
-        .filter(line => line !== '' && !line.startsWith('#') && !line.startsWith('//'));
+        .map((text, index) => ({ text: text.trim(), number: index + 1 }))
+        .filter(({ text }) => text !== '' && !text.startsWith('#') && !text.startsWith('//'));
       
       if (lines.length === 0) {
         throw new Error('TXT file contains no valid key-value pairs');
       }
       
       const data = {};
-      const errors = [];
+      let skipped = 0;
       
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const lineNumber = i + 1;
-        
+      for (const { text, number } of lines) {
         try {
-          const parsed = this.parseTXTLine(line);
+          const parsed = this.parseTXTLine(text);
           if (parsed) {
             const { key, value } = parsed;
+            if (Object.prototype.hasOwnProperty.call(data, key)) {
+              diagnostics.push(this.diagnostic('warning', `Key "${key}" appears more than once; the last value is used`, number));
+            }
             data[key] = value;
           }
         } catch (error) {
-          errors.push(`Line ${lineNumber}: ${error.message}`);
+          skipped++;
+          diagnostics.push(this.diagnostic('warning', `${error.message}; the line was skipped`, number));
         }
       }
       
-      // If we have some data but also errors, warn but continue
-      if (errors.length > 0 && Object.keys(data).length === 0) {
-        throw new Error(`No valid key-value pairs found. Errors:\n${errors.join('\n')}`);
-      }
-      
+      // Lines that failed are reported as warnings as long as some data was read
       if (Object.keys(data).length === 0) {
-        throw new Error('No valid key-value pairs found in TXT file');
+        const detail = skipped > 0 ? ` (${skipped} ${skipped === 1 ? 'line' : 'lines'} could not be read)` : '';
+        throw new Error(`No valid key-value pairs found in TXT file${detail}`);
       }
       
       return data;
     } catch (error) {
-      throw new Error(`TXT parsing failed: ${error.message}`);
+      throw this.withContext('TXT parsing failed', error);
     }
   }
   
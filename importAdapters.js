@@ -0,0 +1,279 @@
+/**
+ * ImportAdapters recognise well-known document schemas in JSON or YAML uploads
+ * and translate them into canonical fields, instead of generic flattening.
+ * Supported: JSON Resume (jsonresume.org) and schema.org / JSON-LD Person.
+ * Lists such as work history stay lists, addressable by path: work[0].company
+ */
+class ImportAdapters {
+  // Names shown to the user for each recognised schema
+  static SOURCES = {
+    jsonResume: 'JSON Resume',
+    schemaPerson: 'schema.org Person'
+  };
+
+  /**
+   * Translates a parsed document when it matches a known schema
+   * @param {*} document - Parsed JSON or YAML document
+   * @returns {{source: string, records: Object[]}|null} Source key and records, or null for other documents
+   */
+  static adapt(document) {
+    if (this.isJSONResume(document)) {
+      return { source: 'jsonResume', records: [this.fromJSONResume(document)] };
+    }
+
+    const people = this.findPeople(document);
+    if (people.length > 0) {
+      return { source: 'schemaPerson', records: people.map(person => this.fromPerson(person)) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks whether a document follows the JSON Resume schema
+   * @param {*} document - Parsed document
+   * @returns {boolean} True for an object with a "basics" section or the JSON Resume $schema
+   */
+  static isJSONResume(document) {
+    if (!this.isObject(document)) {
+      return false;
+    }
+    if (typeof document.$schema === 'string' && /jsonresume/i.test(document.$schema)) {
+      return true;
+    }
+    return this.isObject(document.basics) && ['work', 'education', 'skills'].some(key => key in document);
+  }
+
+  /**
+   * Collects schema.org Person nodes from a document, an array of nodes or a JSON-LD @graph
+   * @param {*} document - Parsed document
+   * @returns {Object[]} Person nodes
+   */
+  static findPeople(document) {
+    const nodes = Array.isArray(document) ? document : [document];
+
+    return nodes
+      .flatMap(node => (this.isObject(node) && Array.isArray(node['@graph']) ? node['@graph'] : [node]))
+      .filter(node => this.isObject(node) && this.hasType(node, 'Person'));
+  }
+
+  /**
+   * Checks a JSON-LD node's @type, which may be a string, a prefixed name or a list
+   * @param {Object} node - JSON-LD node
+   * @param {string} type - Unprefixed type name
+   * @returns {boolean} True when the node has the type
+   */
+  static hasType(node, type) {
+    const types = [].concat(node['@type'] || []);
+    return types.some(value => typeof value === 'string' && value.replace(/^.*[/:#]/, '') === type);
+  }
+
+  /**
+   * Translates a JSON Resume document
+   * @param {Object} resume - JSON Resume document
+   * @returns {Object} Record
+   */
+  static fromJSONResume(resume) {
+    const record = {};
+    const basics = this.isObject(resume.basics) ? resume.basics : {};
+    const location = this.isObject(basics.location) ? basics.location : {};
+    const work = this.list(resume.work);
+
+    this.setName(record, basics.name);
+    this.set(record, 'email', basics.email);
+    this.set(record, 'phone', basics.phone);
+    this.set(record, 'website', basics.url || basics.website);
+    this.set(record, 'bio', basics.summary);
+    this.set(record, 'jobTitle', basics.label);
+
+    this.set(record, 'street', location.address);
+    this.set(record, 'city', location.city);
+    this.set(record, 'state', location.region);
+    this.set(record, 'zipCode', location.postalCode);
+    this.set(record, 'country', location.countryCode);
+
+    this.list(basics.profiles).forEach(profile => {
+      const network = this.text(profile.network).toLowerCase().replace(/[^a-z0-9]/g, '');
+      if (network) {
+        this.set(record, network === 'linkedin' ? 'linkedIn' : network, profile.url || profile.username);
+      }
+    });
+
+    // The current job (no end date), else the first listed, fills the single-value fields
+    const current = work.find(job => !job.endDate) || work[0];
+    if (current) {
+      this.set(record, 'company', current.name || current.company);
+      this.set(record, 'jobTitle', current.position);
+    }
+
+    work.forEach((job, index) => {
+      this.setEntry(record, 'work', index, {
+        company: job.name || job.company,
+        position: job.position,
+        location: job.location,
+        url: job.url,
+        startDate: job.startDate,
+        endDate: job.endDate,
+        summary: job.summary,
+        highlights: job.highlights
+      });
+    });
+
+    this.list(resume.education).forEach((school, index) => {
+      this.setEntry(record, 'education', index, {
+        institution: school.institution,
+        area: school.area,
+        studyType: school.studyType,
+        startDate: school.startDate,
+        endDate: school.endDate,
+        score: school.score,
+        courses: school.courses
+      });
+    });
+
+    this.set(record, 'skills', this.list(resume.skills).map(skill => skill.name));
+    this.set(record, 'languages', this.list(resume.languages).map(language => language.language));
+
+    return record;
+  }
+
+  /**
+   * Translates a schema.org Person node
+   * @param {Object} person - Person node
+   * @returns {Object} Record
+   */
+  static fromPerson(person) {
+    const record = {};
+
+    this.set(record, 'firstName', person.givenName);
+    this.set(record, 'lastName', person.familyName);
+    this.setName(record, person.name);
+    this.set(record, 'email', this.text(person.email).replace(/^mailto:/i, ''));
+    this.set(record, 'phone', this.text(person.telephone).replace(/^tel:/i, ''));
+    this.set(record, 'dateOfBirth', person.birthDate);
+    this.set(record, 'gender', person.gender);
+    this.set(record, 'jobTitle', person.jobTitle);
+    this.set(record, 'bio', person.description);
+
+    const address = [].concat(person.address || [])[0];
+    if (this.isObject(address)) {
+      this.set(record, 'street', address.streetAddress);
+      this.set(record, 'city', address.addressLocality);
+      this.set(record, 'state', address.addressRegion);
+      this.set(record, 'zipCode', address.postalCode);
+      this.set(record, 'country', address.addressCountry);
+    } else {
+      this.set(record, 'street', address);
+    }
+
+    [].concat(person.url || [], person.sameAs || []).forEach(url => {
+      const link = this.text(url);
+      this.set(record, /linkedin\.com/i.test(link) ? 'linkedIn' : 'website', link);
+    });
+
+    [].concat(person.worksFor || []).forEach((organization, index) => {
+      if (index === 0) {
+        this.set(record, 'company', organization);
+      }
+      this.setEntry(record, 'work', index, { company: organization });
+    });
+
+    [].concat(person.alumniOf || []).forEach((organization, index) => {
+      this.setEntry(record, 'education', index, { institution: organization });
+    });
+
+    return record;
+  }
+
+  /**
+   * Sets fullName and, when missing, firstName/lastName split from it
+   * @param {Object} record - Record being built
+   * @param {*} name - Full name
+   */
+  static setName(record, name) {
+    const fullName = this.text(name);
+    this.set(record, 'fullName', fullName);
+
+    const parts = fullName.split(/\s+/).filter(Boolean);
+    if (parts.length > 1) {
+      this.set(record, 'firstName', parts[0]);
+      this.set(record, 'lastName', parts.slice(1).join(' '));
+    }
+  }
+
+  /**
+   * Sets one entry of a list field, e.g. work[0] with company and position
+   * @param {Object} record - Record being built
+   * @param {string} list - List field name
+   * @param {number} index - Position in the list
+   * @param {Object} fields - Field name to value; empty values are left out
+   */
+  static setEntry(record, list, index, fields) {
+    const entry = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      this.set(entry, field, value);
+    });
+
+    record[list] = record[list] || [];
+    record[list][index] = entry;
+  }
+
+  /**
+   * Sets a field unless it already has a value or the new value is empty
+   * @param {Object} record - Record being built
+   * @param {string} field - Field name
+   * @param {*} value - Value (strings, numbers, lists and named objects are converted to text)
+   */
+  static set(record, field, value) {
+    const text = this.text(value);
+    if (text !== '' && record[field] === undefined) {
+      record[field] = text;
+    }
+  }
+
+  /**
+   * Converts a schema value to text
+   * Lists are joined with commas; objects use their name (or JSON-LD @value)
+   * @param {*} value - Value
+   * @returns {string} Text, or an empty string
+   */
+  static text(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.text(item)).filter(Boolean).join(', ');
+    }
+    if (this.isObject(value)) {
+      return this.text(value.name ?? value['@value'] ?? '');
+    }
+    return String(value).trim();
+  }
+
+  /**
+   * Returns the object entries of a list, ignoring anything else
+   * @param {*} value - Expected list
+   * @returns {Object[]} Object entries
+   */
+  static list(value) {
+    return Array.isArray(value) ? value.filter(item => this.isObject(item)) : [];
+  }
+
+  /**
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a plain (non-array) object
+   */
+  static isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImportAdapters;
+}
+
+// Make ImportAdapters available globally for extension context
+if (typeof window !== 'undefined') {
+  window.ImportAdapters = ImportAdapters;
+}
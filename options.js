@@ -0,0 +1,671 @@
+// Options page JavaScript for Browser Auto-Fill Extension
+
+// Browser compatibility layer
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+class OptionsPageController {
+    constructor() {
+        this.messageElement = document.getElementById('message');
+
+        this.editorProfileSelect = document.getElementById('editorProfileSelect');
+        this.editorRecordNote = document.getElementById('editorRecordNote');
+        this.profileGroups = document.getElementById('profileGroups');
+        this.customFieldList = document.getElementById('customFieldList');
+        this.saveProfileDataBtn = document.getElementById('saveProfileDataBtn');
+
+        this.maxValueLength = document.getElementById('maxValueLength');
+        this.fieldLimitList = document.getElementById('fieldLimitList');
+        this.addFieldLimitBtn = document.getElementById('addFieldLimitBtn');
+        this.saveLimitsBtn = document.getElementById('saveLimitsBtn');
+
+        this.exportEncrypt = document.getElementById('exportEncrypt');
+        this.exportPassphraseRow = document.getElementById('exportPassphraseRow');
+        this.exportPassphrase = document.getElementById('exportPassphrase');
+        this.exportPassphraseConfirm = document.getElementById('exportPassphraseConfirm');
+        this.exportBtn = document.getElementById('exportBtn');
+
+        this.restoreFile = document.getElementById('restoreFile');
+        this.restorePassphraseRow = document.getElementById('restorePassphraseRow');
+        this.restorePassphrase = document.getElementById('restorePassphrase');
+        this.conflictStrategyRow = document.getElementById('conflictStrategyRow');
+        this.conflictStrategy = document.getElementById('conflictStrategy');
+        this.previewRestoreBtn = document.getElementById('previewRestoreBtn');
+        this.applyRestoreBtn = document.getElementById('applyRestoreBtn');
+        this.restorePreview = document.getElementById('restorePreview');
+        this.restoreSummary = document.getElementById('restoreSummary');
+        this.conflictList = document.getElementById('conflictList');
+
+        this.archive = null;
+        this.previewed = false;
+
+        // Record shown in the profile editor: { profileId, index, multiRecord }
+        this.editing = null;
+
+        this.renderProfileForm();
+        this.initializeEventListeners();
+        this.loadProfiles();
+        this.loadSanitizationPolicy();
+    }
+
+    initializeEventListeners() {
+        // Profile editor events
+        this.editorProfileSelect.addEventListener('change', () => this.loadProfileData(this.editorProfileSelect.value));
+        document.getElementById('addCustomFieldBtn').addEventListener('click', () => {
+            this.addCustomFieldRow('', '').querySelector('input').focus();
+        });
+        this.saveProfileDataBtn.addEventListener('click', this.saveProfileData.bind(this));
+
+        // Import events
+        this.addFieldLimitBtn.addEventListener('click', () => {
+            this.addFieldLimitRow('', '').querySelector('input').focus();
+        });
+        this.saveLimitsBtn.addEventListener('click', this.saveSanitizationPolicy.bind(this));
+
+        // Export events
+        this.exportEncrypt.addEventListener('change', () => {
+            this.exportPassphraseRow.hidden = !this.exportEncrypt.checked;
+        });
+        this.exportBtn.addEventListener('click', this.exportBackup.bind(this));
+
+        // Restore events
+        this.restoreFile.addEventListener('change', this.handleRestoreFile.bind(this));
+        this.previewRestoreBtn.addEventListener('click', this.previewRestore.bind(this));
+        this.applyRestoreBtn.addEventListener('click', this.applyRestore.bind(this));
+        this.restorePassphrase.addEventListener('input', this.invalidatePreview.bind(this));
+        this.conflictStrategy.addEventListener('change', this.invalidatePreview.bind(this));
+        document.querySelectorAll('input[name="restoreMode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.conflictStrategyRow.hidden = this.getRestoreMode() === 'replace';
+                this.invalidatePreview();
+            });
+        });
+    }
+
+    // Build one panel of inputs per field group from the field registry
+    renderProfileForm() {
+        FieldMappingRegistry.getGroupedFields().forEach(({ label, fields }) => {
+            const panel = document.createElement('div');
+            panel.className = 'panel';
+
+            const title = document.createElement('div');
+            title.className = 'panel-title';
+            title.textContent = label;
+
+            const grid = document.createElement('div');
+            grid.className = 'profile-fields';
+
+            fields.forEach(field => {
+                const wrapper = document.createElement('div');
+                wrapper.className = field.input === 'textarea' ? 'profile-field profile-field-wide' : 'profile-field';
+
+                const input = document.createElement(field.input === 'textarea' ? 'textarea' : 'input');
+                input.className = 'input';
+                input.id = `field-${field.fieldType}`;
+                input.dataset.fieldType = field.fieldType;
+                input.dataset.input = field.input;
+                if (field.input === 'date') {
+                    input.type = 'text';
+                    input.placeholder = 'YYYY-MM-DD';
+                } else if (field.input !== 'textarea') {
+                    input.type = field.input;
+                }
+
+                const fieldLabel = document.createElement('label');
+                fieldLabel.htmlFor = input.id;
+                fieldLabel.textContent = field.label;
+
+                wrapper.append(fieldLabel, input);
+                grid.appendChild(wrapper);
+            });
+
+            panel.append(title, grid);
+            this.profileGroups.appendChild(panel);
+        });
+    }
+
+    async loadProfiles() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getProfiles' });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response, 'Failed to load profiles'));
+            }
+
+            const { profiles, activeProfileId } = response.data;
+            this.editorProfileSelect.innerHTML = '';
+            profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                this.editorProfileSelect.appendChild(option);
+            });
+
+            this.editorProfileSelect.value = activeProfileId;
+            await this.loadProfileData(activeProfileId);
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Fill the editor with the selected record of a profile
+    async loadProfileData(profileId) {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getRecords', profileId });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response, 'Failed to load profile data'));
+            }
+
+            const { records, recordIndex } = response.data;
+            const record = records[recordIndex] || {};
+            this.editing = { profileId, index: recordIndex, multiRecord: records.length > 1 };
+
+            this.editorRecordNote.hidden = records.length < 2;
+            this.editorRecordNote.textContent =
+                `This profile holds ${records.length} records. You are editing record ${recordIndex + 1}; pick another record in the popup to edit it.`;
+
+            this.clearFieldErrors();
+            this.profileGroups.querySelectorAll('[data-field-type]').forEach(input => {
+                const value = record[input.dataset.fieldType];
+                input.value = value !== null && typeof value !== 'object' && value !== undefined ? value : '';
+            });
+
+            // Everything that is not a registry field is listed as a custom field
+            this.customFieldList.innerHTML = '';
+            Object.entries(DataPath.flatten(record))
+                .filter(([path]) => !FieldMappingRegistry.isDefault(path))
+                .forEach(([path, value]) => this.addCustomFieldRow(path, value ?? ''));
+        } catch (error) {
+            console.error('Error loading profile data:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    addCustomFieldRow(path, value) {
+        const row = document.createElement('div');
+        row.className = 'form-row custom-field-row';
+
+        const pathInput = document.createElement('input');
+        pathInput.type = 'text';
+        pathInput.className = 'input custom-field-path';
+        pathInput.placeholder = 'Field or path, e.g. nickname or address.unit';
+        pathInput.value = path;
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'input custom-field-value';
+        valueInput.placeholder = 'Value';
+        valueInput.value = value;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'icon-btn';
+        removeBtn.title = 'Remove field';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => row.remove());
+
+        row.append(pathInput, valueInput, removeBtn);
+        this.customFieldList.appendChild(row);
+        return row;
+    }
+
+    // Check an editor value by input type; returns an error message, or null when the value is fine
+    validateFieldValue(inputType, value) {
+        switch (inputType) {
+            case 'email':
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'Enter a valid email address';
+
+            case 'url':
+                try {
+                    const url = new URL(/^[a-z][a-z\d+.-]*:/i.test(value) ? value : `https://${value}`);
+                    return url.hostname.includes('.') ? null : 'Enter a valid web address';
+                } catch (error) {
+                    return 'Enter a valid web address';
+                }
+
+            case 'date': {
+                const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+                const date = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+                const valid = date && date.getUTCMonth() === match[2] - 1 && date.getUTCDate() === Number(match[3]);
+                return valid ? null : 'Enter a date as YYYY-MM-DD';
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    showFieldError(input, message) {
+        const error = document.createElement('span');
+        error.className = 'field-error';
+        error.textContent = message;
+        input.classList.add('invalid');
+        input.parentNode.appendChild(error);
+    }
+
+    clearFieldErrors() {
+        document.querySelectorAll('#profileSection .field-error').forEach(error => error.remove());
+        document.querySelectorAll('#profileSection .invalid').forEach(input => input.classList.remove('invalid'));
+    }
+
+    // Build the profile data from the editor, or return null after marking invalid fields
+    collectProfileData() {
+        const data = {};
+        const seen = new Set();
+        let firstInvalid = null;
+
+        const fail = (input, message) => {
+            this.showFieldError(input, message);
+            firstInvalid = firstInvalid || input;
+        };
+
+        this.clearFieldErrors();
+
+        this.profileGroups.querySelectorAll('[data-field-type]').forEach(input => {
+            const value = input.value.trim();
+            if (value === '') {
+                return;
+            }
+
+            const problem = this.validateFieldValue(input.dataset.input, value);
+            if (problem) {
+                fail(input, problem);
+            } else {
+                data[input.dataset.fieldType] = value;
+            }
+        });
+
+        this.customFieldList.querySelectorAll('.custom-field-row').forEach(row => {
+            const pathInput = row.querySelector('.custom-field-path');
+            const path = pathInput.value.trim();
+            const value = row.querySelector('.custom-field-value').value.trim();
+            if (value === '') {
+                return;
+            }
+
+            let problem = null;
+            if (!DataPath.isValid(path)) {
+                problem = path ? 'Not a valid field name or path' : 'Enter a field name';
+            } else if (FieldMappingRegistry.isDefault(path)) {
+                problem = `Use the ${FieldMappingRegistry.getLabel(path)} field above`;
+            } else if (seen.has(path)) {
+                problem = 'This field is listed twice';
+            } else if (DataPath.get(data, path) !== undefined) {
+                problem = 'This name is already used by other fields';
+            } else {
+                try {
+                    DataPath.set(data, path, value);
+                } catch (error) {
+                    problem = error.message;
+                }
+            }
+
+            if (problem) {
+                fail(pathInput, problem);
+            } else {
+                seen.add(path);
+            }
+        });
+
+        if (firstInvalid) {
+            firstInvalid.focus();
+            this.showMessage('Please fix the highlighted fields', 'error');
+            return null;
+        }
+
+        return data;
+    }
+
+    // Save the editor through the background storage manager
+    async saveProfileData() {
+        if (!this.editing) {
+            return;
+        }
+
+        const data = this.collectProfileData();
+        if (!data) {
+            return;
+        }
+        if (Object.keys(data).length === 0 && !confirm('All fields are empty. Clear this profile\'s data?')) {
+            return;
+        }
+
+        try {
+            this.saveProfileDataBtn.disabled = true;
+            const { profileId, index, multiRecord } = this.editing;
+
+            // Multi-record profiles keep their other records; single profiles are replaced as a whole
+            const response = await browserAPI.runtime.sendMessage(multiRecord
+                ? { action: 'updateRecord', profileId, index, data }
+                : { action: 'updateUserData', profileId, data });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response, 'Failed to save profile data'));
+            }
+
+            const profile = response.data || response.profile;
+            this.showMessage(`Saved ${Object.keys(DataPath.flatten(data)).length} fields to "${profile.name}"`, 'success');
+        } catch (error) {
+            console.error('Error saving profile data:', error);
+            this.showMessage(error.message, 'error');
+        } finally {
+            this.saveProfileDataBtn.disabled = false;
+        }
+    }
+
+    async loadSanitizationPolicy() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getSettings' });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response, 'Failed to load settings'));
+            }
+
+            const { maxLength, fieldLimits } = response.data.sanitization;
+            this.maxValueLength.value = maxLength;
+            this.fieldLimitList.innerHTML = '';
+            Object.entries(fieldLimits || {}).forEach(([field, limit]) => this.addFieldLimitRow(field, limit));
+        } catch (error) {
+            console.error('Error loading sanitization policy:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    addFieldLimitRow(field, limit) {
+        const row = document.createElement('div');
+        row.className = 'form-row field-limit-row';
+
+        const fieldInput = document.createElement('input');
+        fieldInput.type = 'text';
+        fieldInput.className = 'input field-limit-path';
+        fieldInput.placeholder = 'Field or path, e.g. bio or address.street';
+        fieldInput.value = field;
+
+        const limitInput = document.createElement('input');
+        limitInput.type = 'number';
+        limitInput.className = 'input field-limit-value';
+        limitInput.min = '1';
+        limitInput.step = '1';
+        limitInput.placeholder = 'Characters';
+        limitInput.value = limit;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'icon-btn';
+        removeBtn.title = 'Remove limit';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => row.remove());
+
+        row.append(fieldInput, limitInput, removeBtn);
+        this.fieldLimitList.appendChild(row);
+        return row;
+    }
+
+    async saveSanitizationPolicy() {
+        const maxLength = parseInt(this.maxValueLength.value, 10);
+        if (isNaN(maxLength) || maxLength < 1) {
+            this.showMessage('Default limit must be a positive number of characters', 'error');
+            return;
+        }
+
+        const fieldLimits = {};
+        for (const row of this.fieldLimitList.querySelectorAll('.field-limit-row')) {
+            const field = row.querySelector('.field-limit-path').value.trim();
+            const limit = parseInt(row.querySelector('.field-limit-value').value, 10);
+
+            if (field === '') {
+                continue;
+            }
+            if (!DataPath.isValid(field)) {
+                this.showMessage(`"${field}" is not a valid field path`, 'error');
+                return;
+            }
+            if (isNaN(limit) || limit < 1) {
+                this.showMessage(`Limit for "${field}" must be a positive number of characters`, 'error');
+                return;
+            }
+            fieldLimits[field] = limit;
+        }
+
+        try {
+            this.saveLimitsBtn.disabled = true;
+            const settingsResponse = await browserAPI.runtime.sendMessage({ action: 'getSettings' });
+            if (!settingsResponse || !settingsResponse.success) {
+                throw new Error(this.describeError(settingsResponse, 'Failed to load settings'));
+            }
+
+            const response = await browserAPI.runtime.sendMessage({
+                action: 'updateSettings',
+                settings: { ...settingsResponse.data, sanitization: { maxLength, fieldLimits } }
+            });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response, 'Failed to save settings'));
+            }
+
+            this.showMessage('Length limits saved. They apply to the next upload.', 'success');
+        } catch (error) {
+            console.error('Error saving sanitization policy:', error);
+            this.showMessage(error.message, 'error');
+        } finally {
+            this.saveLimitsBtn.disabled = false;
+        }
+    }
+
+    async exportBackup() {
+        let passphrase = null;
+
+        if (this.exportEncrypt.checked) {
+            passphrase = this.exportPassphrase.value;
+            if (passphrase !== this.exportPassphraseConfirm.value) {
+                this.showMessage('Passphrases do not match', 'error');
+                return;
+            }
+        }
+
+        try {
+            this.exportBtn.disabled = true;
+            const response = await browserAPI.runtime.sendMessage({
+                action: 'exportBackup',
+                passphrase: passphrase
+            });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response, 'Failed to create backup'));
+            }
+
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadJSON(response.data, `formease-backup-${date}.json`);
+
+            this.exportPassphrase.value = '';
+            this.exportPassphraseConfirm.value = '';
+            this.showMessage(
+                passphrase ? 'Encrypted backup downloaded' : 'Backup downloaded. It is not encrypted, so store it somewhere safe.',
+                'success'
+            );
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            this.showMessage(error.message, 'error');
+        } finally {
+            this.exportBtn.disabled = false;
+        }
+    }
+
+    downloadJSON(value, filename) {
+        const blob = new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async handleRestoreFile() {
+        this.archive = null;
+        this.invalidatePreview();
+        this.restorePassphraseRow.hidden = true;
+        this.previewRestoreBtn.disabled = true;
+
+        const file = this.restoreFile.files[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const archive = JSON.parse(await file.text());
+            if (!archive || archive.format !== 'formease-backup') {
+                throw new Error('This file is not an Auto-Fill backup');
+            }
+
+            this.archive = archive;
+            this.restorePassphraseRow.hidden = !archive.encrypted;
+            this.previewRestoreBtn.disabled = false;
+            this.hideMessage();
+        } catch (error) {
+            const message = error instanceof SyntaxError ? 'Backup file is not valid JSON' : error.message;
+            this.showMessage(message, 'error');
+        }
+    }
+
+    getRestoreMode() {
+        return document.querySelector('input[name="restoreMode"]:checked').value;
+    }
+
+    invalidatePreview() {
+        this.previewed = false;
+        this.applyRestoreBtn.disabled = true;
+        this.restorePreview.hidden = true;
+    }
+
+    async previewRestore() {
+        if (!this.archive) {
+            return;
+        }
+
+        try {
+            this.previewRestoreBtn.disabled = true;
+            const response = await browserAPI.runtime.sendMessage({
+                action: 'previewRestore',
+                archive: this.archive,
+                passphrase: this.restorePassphrase.value || null,
+                mode: this.getRestoreMode()
+            });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response, 'Failed to read backup'));
+            }
+
+            this.renderPreview(response.data);
+            this.previewed = true;
+            this.applyRestoreBtn.disabled = false;
+            this.hideMessage();
+        } catch (error) {
+            console.error('Error previewing restore:', error);
+            this.showMessage(error.message, 'error');
+        } finally {
+            this.previewRestoreBtn.disabled = false;
+        }
+    }
+
+    renderPreview(preview) {
+        const { summary, conflicts } = preview;
+        const created = preview.createdAt ? new Date(preview.createdAt).toLocaleString() : 'an unknown date';
+
+        this.restoreSummary.textContent =
+            `Backup from ${created}: ${summary.profiles} profile(s), ${summary.fieldMappings} field mapping(s), ` +
+            `${summary.settings} setting(s), ${summary.siteRules} site rule(s).`;
+
+        this.conflictList.innerHTML = '';
+        if (conflicts.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'conflict-none';
+            item.textContent = 'No conflicts with your current data.';
+            this.conflictList.appendChild(item);
+        } else {
+            conflicts.forEach(conflict => {
+                const item = document.createElement('li');
+                item.className = 'conflict-item';
+                item.textContent = conflict.message;
+                this.conflictList.appendChild(item);
+            });
+        }
+
+        this.restorePreview.hidden = false;
+    }
+
+    async applyRestore() {
+        if (!this.archive || !this.previewed) {
+            return;
+        }
+
+        const mode = this.getRestoreMode();
+        if (mode === 'replace' && !confirm('Replace all current profiles, mappings, settings and site rules with this backup?')) {
+            return;
+        }
+
+        try {
+            this.applyRestoreBtn.disabled = true;
+            const response = await browserAPI.runtime.sendMessage({
+                action: 'applyRestore',
+                archive: this.archive,
+                passphrase: this.restorePassphrase.value || null,
+                mode: mode,
+                preferBackup: this.conflictStrategy.value === 'backup'
+            });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response, 'Failed to restore backup'));
+            }
+
+            this.showMessage('Backup restored successfully', 'success');
+            this.resetRestore();
+        } catch (error) {
+            console.error('Error applying restore:', error);
+            this.showMessage(error.message, 'error');
+            this.applyRestoreBtn.disabled = false;
+        }
+    }
+
+    resetRestore() {
+        this.archive = null;
+        this.restoreFile.value = '';
+        this.restorePassphrase.value = '';
+        this.restorePassphraseRow.hidden = true;
+        this.previewRestoreBtn.disabled = true;
+        this.invalidatePreview();
+    }
+
+    describeError(response, fallback) {
+        if (response?.errorType === 'LOCKED') {
+            return 'Your data is locked. Unlock the vault from the extension popup first.';
+        }
+        return response?.error || fallback;
+    }
+
+    showMessage(text, type = 'info') {
+        const messageText = document.getElementById('messageText');
+        const messageIcon = document.getElementById('messageIcon');
+
+        messageText.textContent = text;
+        this.messageElement.className = `message ${type} show`;
+
+        // Set appropriate icon
+        switch (type) {
+            case 'success':
+                messageIcon.textContent = '✓';
+                break;
+            case 'error':
+                messageIcon.textContent = '⚠';
+                break;
+            case 'info':
+            default:
+                messageIcon.textContent = 'ℹ';
+                break;
+        }
+    }
+
+    hideMessage() {
+        this.messageElement.classList.remove('show');
+    }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsPageController();
+});
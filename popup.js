@@ -4,6 +4,10 @@
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 class PopupController {
+    // The background detects fields in every frame (one 2s try), then fills each frame with up to
+    // three 2s tries and 0.5s + 1s backoff: about 9.5s before storage reads and the fill itself
+    static AUTOFILL_TIMEOUT = 20000;
+
     constructor() {
         this.fileInput = document.getElementById('fileInput');
         this.uploadArea = document.getElementById('uploadArea');
@@ -12,13 +16,29 @@ class PopupController {
         this.settingsToggle = document.getElementById('settingsToggle');
         this.settingsPanel = document.getElementById('settingsPanel');
         this.messageContainer = document.getElementById('messageContainer');
+        this.profileSelect = document.getElementById('profileSelect');
+        this.profileRule = document.getElementById('profileRule');
+        this.profileBar = document.getElementById('profileBar');
+        this.vaultUnlock = document.getElementById('vaultUnlock');
+        this.recordPicker = document.getElementById('recordPicker');
+        this.recordSearch = document.getElementById('recordSearch');
+        this.recordList = document.getElementById('recordList');
+        this.diagnosticsPanel = document.getElementById('diagnosticsPanel');
 
         this.currentFile = null;
         this.userData = null;
         this.currentMappings = {};
+        this.profiles = [];
+        this.activeProfileId = null;
+        this.siteRules = [];
+        this.vaultStatus = null;
+        this.recordState = null;
+        this.recordProfileId = null;
 
         this.initializeEventListeners();
         this.loadStoredData();
+        this.loadWizardSession();
+        this.loadLastFill();
     }
 
     initializeEventListeners() {
@@ -31,10 +51,44 @@ class PopupController {
 
         // File removal
         document.getElementById('removeFile').addEventListener('click', this.removeFile.bind(this));
+        document.getElementById('diagnosticsClose').addEventListener('click', () => this.renderDiagnostics([]));
+
+        // Profile switcher
+        this.profileSelect.addEventListener('change', this.switchProfile.bind(this));
+        document.getElementById('newProfileBtn').addEventListener('click', this.createProfile.bind(this));
+        document.getElementById('renameProfileBtn').addEventListener('click', this.renameProfile.bind(this));
+        document.getElementById('duplicateProfileBtn').addEventListener('click', this.duplicateProfile.bind(this));
+        document.getElementById('deleteProfileBtn').addEventListener('click', this.deleteProfile.bind(this));
+
+        // Record picker
+        this.recordSearch.addEventListener('input', this.renderRecordList.bind(this));
+
+        // Batch mode
+        document.getElementById('batchToggle').addEventListener('change', this.configureBatch.bind(this));
+        document.getElementById('batchAdvanceOn').addEventListener('change', this.configureBatch.bind(this));
+        document.getElementById('batchPrevBtn').addEventListener('click', () => this.moveBatchCursor(this.recordState.batch.cursor - 1));
+        document.getElementById('batchNextBtn').addEventListener('click', () => this.moveBatchCursor(this.recordState.batch.cursor + 1));
+        document.getElementById('batchJump').addEventListener('change', (e) => this.moveBatchCursor(parseInt(e.target.value, 10) - 1));
+        document.getElementById('batchExportBtn').addEventListener('click', this.exportBatchLog.bind(this));
+        document.getElementById('batchClearBtn').addEventListener('click', this.clearBatchLog.bind(this));
+
+        // Vault
+        document.getElementById('vaultUnlockForm').addEventListener('submit', this.unlockVault.bind(this));
+        document.getElementById('lockVaultBtn').addEventListener('click', this.lockVault.bind(this));
+        document.getElementById('vaultToggleBtn').addEventListener('click', this.toggleVault.bind(this));
+        document.getElementById('vaultIdleMinutes').addEventListener('change', this.saveVaultIdleMinutes.bind(this));
+
+        // Follow-up filling
+        document.getElementById('watchNewFields').addEventListener('change', this.saveFollowUpSettings.bind(this));
+        document.getElementById('watchNewFieldsSeconds').addEventListener('change', this.saveFollowUpSettings.bind(this));
 
         // Auto-fill button
         this.autofillBtn.addEventListener('click', this.triggerAutoFill.bind(this));
 
+        // Multi-step form session
+        document.getElementById('wizardStartBtn').addEventListener('click', () => this.updateWizardSession('startWizardSession'));
+        document.getElementById('wizardFinishBtn').addEventListener('click', () => this.updateWizardSession('finishWizardSession'));
+
         // Settings toggle
         this.settingsToggle.addEventListener('click', this.toggleSettings.bind(this));
 
@@ -42,6 +96,9 @@ class PopupController {
         document.getElementById('saveMappings').addEventListener('click', this.saveMappings.bind(this));
         document.getElementById('resetMappings').addEventListener('click', this.resetMappings.bind(this));
         document.getElementById('addMappingBtn').addEventListener('click', this.addCustomMapping.bind(this));
+        document.getElementById('addRuleBtn').addEventListener('click', this.addSiteRule.bind(this));
+        document.getElementById('openOptionsBtn').addEventListener('click', () => browserAPI.runtime.openOptionsPage());
+        document.getElementById('manualEntryBtn').addEventListener('click', () => browserAPI.runtime.openOptionsPage());
 
         // Message close
         document.getElementById('messageClose').addEventListener('click', this.hideMessage.bind(this));
@@ -49,33 +106,65 @@ class PopupController {
         // Keyboard navigation
         document.addEventListener('keydown', this.handleKeydown.bind(this));
 
-        // Listen for storage changes to detect file uploads from background
+        // Listen for storage changes to detect file uploads and profile changes
         browserAPI.storage.onChanged.addListener((changes, area) => {
-            if (area === 'local' && changes.userData) {
-                this.handleStorageDataChange(changes.userData);
+            if (area === 'local' && (changes.profiles || changes.activeProfileId || changes.siteRules || changes.vault)) {
+                this.handleStorageDataChange();
+            }
+            // Follow-up passes keep filling after the fill response
+            if (area === 'local' && changes.fillResults) {
+                this.loadLastFill();
+            }
+            if (area === 'local' && changes.wizardSessions) {
+                this.loadWizardSession();
             }
         });
     }
 
     async loadStoredData() {
         try {
-            // Load stored data with timeout
-            const result = await Promise.race([
-                browserAPI.storage.local.get(['userData', 'fieldMappings']),
+            // Load profiles, the site rule match for this tab, then that profile's data, with timeout
+            const [profilesResponse, siteMatchResponse, userDataResponse] = await Promise.race([
+                this.loadProfileData(),
                 new Promise((_, reject) =>
                     setTimeout(() => reject(new Error('Storage access timeout')), 5000)
                 )
             ]);
 
-            if (result.userData && typeof result.userData === 'object') {
-                const dataKeys = Object.keys(result.userData);
-                if (dataKeys.length > 0) {
-                    this.userData = result.userData;
-                    this.updateFileStatus('Stored data', `${dataKeys.length} fields ready`);
-                    this.autofillBtn.disabled = false;
-                } else {
-                    console.warn('Stored user data is empty');
-                }
+            if (profilesResponse?.errorType === 'LOCKED') {
+                this.showLockedState();
+                return;
+            }
+            if (!profilesResponse || !profilesResponse.success) {
+                throw new Error(profilesResponse?.error || 'Failed to load profiles');
+            }
+            this.hideLockedState();
+            this.renderProfiles(profilesResponse.data);
+            this.renderSiteMatch(siteMatchResponse?.success ? siteMatchResponse.data : null);
+
+            if (!userDataResponse || !userDataResponse.success) {
+                throw new Error(userDataResponse?.error || 'Failed to load user data');
+            }
+
+            const dataKeys = Object.keys(DataPath.flatten(userDataResponse.data || {}));
+            const profile = userDataResponse.profile;
+            if (dataKeys.length > 0) {
+                this.userData = userDataResponse.data;
+                const details = profile.recordCount > 1
+                    ? `Record ${profile.recordIndex + 1} of ${profile.recordCount}, ${dataKeys.length} fields ready`
+                    : `${dataKeys.length} fields ready`;
+                this.updateFileStatus(profile.name, details);
+                this.autofillBtn.disabled = false;
+            } else {
+                this.userData = null;
+                this.resetFileStatus();
+                this.autofillBtn.disabled = true;
+            }
+
+            if (profile.recordCount > 1) {
+                await this.loadRecords(profile.id);
+            } else {
+                this.hideRecordPicker();
             }
         } catch (error) {
             console.error('Error loading stored data:', error);
@@ -95,6 +184,99 @@ class PopupController {
         }
     }
 
+    async loadProfileData() {
+        const vaultStatus = await this.loadVaultStatus();
+        if (vaultStatus.enabled && !vaultStatus.unlocked) {
+            return [{ success: false, errorType: 'LOCKED' }];
+        }
+
+        const profilesResponse = await browserAPI.runtime.sendMessage({ action: 'getProfiles' });
+        const siteMatchResponse = await browserAPI.runtime.sendMessage({ action: 'getSiteMatch' });
+        const profileId = siteMatchResponse?.success ? siteMatchResponse.data.profileId : null;
+        const userDataResponse = await browserAPI.runtime.sendMessage({ action: 'getUserData', profileId });
+
+        return [profilesResponse, siteMatchResponse, userDataResponse];
+    }
+
+    async loadVaultStatus() {
+        const response = await browserAPI.runtime.sendMessage({ action: 'getVaultStatus' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to load vault status');
+        }
+
+        this.vaultStatus = response.data;
+        document.getElementById('lockVaultBtn').hidden = !(this.vaultStatus.enabled && this.vaultStatus.unlocked);
+        return this.vaultStatus;
+    }
+
+    showLockedState() {
+        this.userData = null;
+        this.autofillBtn.disabled = true;
+        this.vaultUnlock.hidden = false;
+        this.profileBar.hidden = true;
+        this.profileRule.hidden = true;
+        this.fileStatus.hidden = true;
+        this.uploadArea.style.display = 'none';
+        this.hideRecordPicker();
+        document.getElementById('lockVaultBtn').hidden = true;
+        document.getElementById('vaultPassphrase').focus();
+    }
+
+    hideLockedState() {
+        this.vaultUnlock.hidden = true;
+        this.profileBar.hidden = false;
+    }
+
+    async unlockVault(e) {
+        e.preventDefault();
+
+        const passphraseInput = document.getElementById('vaultPassphrase');
+        if (!passphraseInput.value) {
+            this.showMessage('Please enter your passphrase', 'error');
+            return;
+        }
+
+        try {
+            const response = await browserAPI.runtime.sendMessage({
+                action: 'unlockVault',
+                passphrase: passphraseInput.value
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to unlock vault');
+            }
+
+            passphraseInput.value = '';
+            this.showMessage('Vault unlocked', 'success');
+            await this.loadStoredData();
+        } catch (error) {
+            console.error('Error unlocking vault:', error);
+            this.showMessage(error.message, 'error');
+            passphraseInput.select();
+        }
+    }
+
+    async lockVault() {
+        try {
+            await browserAPI.runtime.sendMessage({ action: 'lockVault' });
+            this.showMessage('Vault locked', 'info');
+            await this.loadStoredData();
+        } catch (error) {
+            console.error('Error locking vault:', error);
+            this.showMessage('Failed to lock vault', 'error');
+        }
+    }
+
+    renderSiteMatch(siteMatch) {
+        if (!siteMatch || !siteMatch.rule) {
+            this.profileRule.hidden = true;
+            this.profileRule.textContent = '';
+            return;
+        }
+
+        this.profileRule.textContent = `Site rule "${siteMatch.rule.pattern}" matched: using "${siteMatch.profile.name}" on this page`;
+        this.profileRule.hidden = false;
+    }
+
     handleDragOver(e) {
         e.preventDefault();
         this.uploadArea.classList.add('drag-over');
@@ -145,19 +327,397 @@ class PopupController {
         }
     }
 
-    handleStorageDataChange(change) {
-        if (change.newValue && typeof change.newValue === 'object') {
-            const dataKeys = Object.keys(change.newValue);
-            if (dataKeys.length > 0) {
-                this.userData = change.newValue;
-                this.updateFileStatus('Uploaded file', `${dataKeys.length} fields loaded`);
-                this.autofillBtn.disabled = false;
-                this.showMessage('File uploaded successfully!', 'success');
+    async handleStorageDataChange() {
+        const previous = this.getActiveProfile();
+
+        await this.loadStoredData();
+
+        // Only announce data changes to the profile that stayed selected
+        const current = this.getActiveProfile();
+        if (previous && current && previous.id === current.id &&
+            previous.updatedAt !== current.updatedAt && current.fieldCount > 0) {
+            this.showMessage(`Profile "${current.name}" updated with ${current.fieldCount} fields`, 'success');
+        }
+    }
+
+    async loadRecords(profileId) {
+        const response = await browserAPI.runtime.sendMessage({ action: 'getRecords', profileId });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to load records');
+        }
+
+        // Keep the search text only while the same profile stays loaded
+        if (this.recordProfileId !== profileId) {
+            this.recordSearch.value = '';
+        }
+        this.recordProfileId = profileId;
+        this.recordState = response.data;
+        this.renderRecordPicker();
+    }
+
+    hideRecordPicker() {
+        this.recordPicker.hidden = true;
+        this.recordState = null;
+        this.recordProfileId = null;
+    }
+
+    getRecordLabel(record, index) {
+        const name = record.fullName || [record.firstName, record.lastName].filter(Boolean).join(' ') || record.name;
+        if (name) {
+            return name;
+        }
+
+        const firstValue = Object.values(DataPath.flatten(record)).find(value => String(value).trim() !== '');
+        return firstValue ? String(firstValue) : `Record ${index + 1}`;
+    }
+
+    getRecordDetail(record, index) {
+        const detail = record.email || record.company || record.city;
+        return detail ? `#${index + 1} · ${detail}` : `#${index + 1}`;
+    }
+
+    renderRecordPicker() {
+        const { records, lastUsedRecordIndex, lastUsedAt } = this.recordState;
+        const lastUsed = document.getElementById('recordLastUsed');
+
+        document.getElementById('recordPickerTitle').textContent = `${records.length} records`;
+
+        if (lastUsedRecordIndex !== null && records[lastUsedRecordIndex]) {
+            const label = this.getRecordLabel(records[lastUsedRecordIndex], lastUsedRecordIndex);
+            lastUsed.textContent = `Last used: ${label}, ${new Date(lastUsedAt).toLocaleString()}`;
+        } else {
+            lastUsed.textContent = 'Not used yet';
+        }
+
+        this.recordPicker.hidden = false;
+        this.renderBatchControls();
+        this.renderRecordList();
+    }
+
+    renderBatchControls() {
+        const { batch } = this.recordState;
+        const jump = document.getElementById('batchJump');
+
+        document.getElementById('batchToggle').checked = batch.enabled;
+        document.getElementById('batchAdvanceOn').value = batch.advanceOn;
+        document.getElementById('batchNav').hidden = !batch.enabled;
+        document.getElementById('batchLog').hidden = !batch.enabled;
+        if (!batch.enabled) {
+            return;
+        }
+
+        document.getElementById('batchPrevBtn').disabled = batch.cursor === 0;
+        document.getElementById('batchNextBtn').disabled = batch.cursor >= batch.total - 1;
+        document.getElementById('batchTotal').textContent = batch.total;
+        jump.max = batch.total;
+        jump.value = batch.cursor + 1;
+
+        const counts = { filled: 0, skipped: 0, errored: 0 };
+        this.getBatchRowStatuses().forEach(status => {
+            counts[status]++;
+        });
+        let summary = `${counts.filled} filled, ${counts.skipped} skipped, ${counts.errored} errored`;
+        if (batch.complete) {
+            summary += ' · batch complete';
+        }
+        document.getElementById('batchLogSummary').textContent = summary;
+    }
+
+    // Latest logged status for each row, keyed by record index
+    getBatchRowStatuses() {
+        const statuses = new Map();
+        (this.recordState?.batch?.log || []).forEach(entry => {
+            statuses.set(entry.index, entry.status);
+        });
+        return statuses;
+    }
+
+    async configureBatch() {
+        try {
+            await this.sendProfileAction({
+                action: 'configureBatch',
+                profileId: this.recordProfileId,
+                enabled: document.getElementById('batchToggle').checked,
+                advanceOn: document.getElementById('batchAdvanceOn').value
+            });
+        } catch (error) {
+            console.error('Error configuring batch mode:', error);
+            this.showMessage(error.message, 'error');
+            this.renderBatchControls();
+        }
+    }
+
+    async moveBatchCursor(index) {
+        const { batch } = this.recordState;
+        if (!Number.isInteger(index) || index < 0 || index >= batch.total) {
+            document.getElementById('batchJump').value = batch.cursor + 1;
+            return;
+        }
+
+        try {
+            await this.sendProfileAction({ action: 'moveBatchCursor', profileId: this.recordProfileId, index });
+        } catch (error) {
+            console.error('Error moving batch cursor:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async clearBatchLog() {
+        if (!confirm('Clear the batch log for this profile?')) {
+            return;
+        }
+
+        try {
+            await this.sendProfileAction({ action: 'clearBatchLog', profileId: this.recordProfileId });
+            this.showMessage('Batch log cleared', 'info');
+        } catch (error) {
+            console.error('Error clearing batch log:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    exportBatchLog() {
+        const { records, batch } = this.recordState;
+        if (batch.log.length === 0) {
+            this.showMessage('The batch log is empty', 'info');
+            return;
+        }
+
+        const escape = value => {
+            let text = String(value);
+            // Record labels come from uploaded files; keep spreadsheets from running them as formulas
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
             }
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [['Row', 'Record', 'Status', 'Fields Filled', 'Message', 'Time']];
+        batch.log.forEach(entry => {
+            const record = records[entry.index] || {};
+            lines.push([
+                entry.index + 1,
+                this.getRecordLabel(record, entry.index),
+                entry.status,
+                entry.fieldsFilled,
+                entry.message,
+                new Date(entry.at).toISOString()
+            ]);
+        });
+
+        const csv = lines.map(line => line.map(escape).join(',')).join('\r\n');
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `batch-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    renderRecordList() {
+        if (!this.recordState) {
+            return;
+        }
+
+        const { records, recordIndex, lastUsedRecordIndex, batch } = this.recordState;
+        const rowStatuses = batch.enabled ? this.getBatchRowStatuses() : null;
+        const query = this.recordSearch.value.trim().toLowerCase();
+        this.recordList.innerHTML = '';
+
+        const matches = records
+            .map((record, index) => ({ record, index }))
+            .filter(({ record }) => !query || Object.values(DataPath.flatten(record)).join(' ').toLowerCase().includes(query));
+
+        if (matches.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'record-empty';
+            empty.textContent = 'No matching records';
+            this.recordList.appendChild(empty);
+            return;
+        }
+
+        matches.forEach(({ record, index }) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'record-item';
+            button.setAttribute('role', 'option');
+            button.setAttribute('aria-selected', String(index === recordIndex));
+            if (index === recordIndex) {
+                button.classList.add('selected');
+            }
+
+            const text = document.createElement('span');
+            text.className = 'record-item-detail';
+            const label = document.createElement('strong');
+            label.textContent = this.getRecordLabel(record, index);
+            text.append(label, ` ${this.getRecordDetail(record, index)}`);
+            button.appendChild(text);
+
+            const status = rowStatuses ? rowStatuses.get(index) : null;
+            if (status) {
+                const badge = document.createElement('span');
+                badge.className = `record-item-badge status-${status}`;
+                badge.textContent = status;
+                button.appendChild(badge);
+            } else if (!rowStatuses && index === lastUsedRecordIndex) {
+                const badge = document.createElement('span');
+                badge.className = 'record-item-badge';
+                badge.textContent = 'last used';
+                button.appendChild(badge);
+            }
+
+            button.addEventListener('click', () => this.selectRecord(index));
+            item.appendChild(button);
+            this.recordList.appendChild(item);
+        });
+    }
+
+    async selectRecord(index) {
+        if (!this.recordState || index === this.recordState.recordIndex) {
+            return;
+        }
+
+        if (this.recordState.batch.enabled) {
+            await this.moveBatchCursor(index);
+            return;
+        }
+
+        try {
+            await this.sendProfileAction({ action: 'selectRecord', profileId: this.recordProfileId, index });
+            const label = this.getRecordLabel(this.recordState.records[index], index);
+            this.showMessage(`Forms will be filled with "${label}"`, 'info');
+        } catch (error) {
+            console.error('Error selecting record:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    getActiveProfile() {
+        return this.profiles.find(profile => profile.id === this.activeProfileId) || null;
+    }
+
+    renderProfiles({ profiles, activeProfileId }) {
+        this.profiles = profiles;
+        this.activeProfileId = activeProfileId;
+
+        this.profileSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.recordCount > 1
+                ? `${profile.name} (${profile.recordCount} records)`
+                : `${profile.name} (${profile.fieldCount})`;
+            this.profileSelect.appendChild(option);
+        });
+        this.profileSelect.value = activeProfileId;
+
+        // The last remaining profile cannot be deleted
+        document.getElementById('deleteProfileBtn').disabled = profiles.length <= 1;
+    }
+
+    async sendProfileAction(message) {
+        const response = await browserAPI.runtime.sendMessage(message);
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Profile operation failed');
+        }
+        return response.data;
+    }
+
+    async switchProfile() {
+        const profileId = this.profileSelect.value;
+        if (profileId === this.activeProfileId) {
+            return;
+        }
+
+        try {
+            const profile = await this.sendProfileAction({ action: 'setActiveProfile', profileId });
+            this.showMessage(`Switched to profile "${profile.name}"`, 'info');
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            this.showMessage(error.message, 'error');
+            this.profileSelect.value = this.activeProfileId;
+        }
+    }
+
+    async createProfile() {
+        const name = prompt('Enter a name for the new profile:');
+        if (!name || !name.trim()) {
+            return;
+        }
+
+        try {
+            const profile = await this.sendProfileAction({ action: 'createProfile', name });
+            this.showMessage(`Profile "${profile.name}" created`, 'success');
+        } catch (error) {
+            console.error('Error creating profile:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async renameProfile() {
+        const current = this.getActiveProfile();
+        if (!current) {
+            return;
+        }
+
+        const name = prompt('Enter a new name for this profile:', current.name);
+        if (!name || !name.trim() || name.trim() === current.name) {
+            return;
+        }
+
+        try {
+            const profile = await this.sendProfileAction({ action: 'renameProfile', profileId: current.id, name });
+            this.showMessage(`Profile renamed to "${profile.name}"`, 'success');
+        } catch (error) {
+            console.error('Error renaming profile:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async duplicateProfile() {
+        const current = this.getActiveProfile();
+        if (!current) {
+            return;
+        }
+
+        const name = prompt('Enter a name for the copy:', `${current.name} (copy)`);
+        if (!name || !name.trim()) {
+            return;
+        }
+
+        try {
+            const profile = await this.sendProfileAction({ action: 'duplicateProfile', profileId: current.id, name });
+            this.showMessage(`Profile "${profile.name}" created from "${current.name}"`, 'success');
+        } catch (error) {
+            console.error('Error duplicating profile:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async deleteProfile() {
+        const current = this.getActiveProfile();
+        if (!current) {
+            return;
+        }
+
+        if (!confirm(`Are you sure you want to delete the profile "${current.name}" and all of its data?`)) {
+            return;
+        }
+
+        try {
+            await this.sendProfileAction({ action: 'deleteProfile', profileId: current.id });
+            this.showMessage(`Profile "${current.name}" deleted`, 'info');
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            this.showMessage(error.message, 'error');
         }
     }
 
     async processFileBrowser(file) {
+        this.renderDiagnostics([]);
+
         try {
             // Convert file to base64 for sending to background script
             const fileData = await this.fileToBase64(file);
@@ -168,13 +728,26 @@ class PopupController {
                 fileData: fileData,
                 fileName: file.name,
                 fileSize: file.size,
-                fileType: file.type
+                fileType: file.type,
+                profileId: this.activeProfileId
             });
 
+            // Show parser warnings (or the error location) whether or not the import succeeded
+            this.renderDiagnostics(response.diagnostics || []);
+
             if (response.success) {
                 // File processed successfully in background
                 // UI will be updated via storage change listener
                 console.log('File processed successfully');
+                if (response.changes && response.changes.length > 0) {
+                    this.showMessage(FileParser.describeChanges(response.changes), 'warning');
+                } else if (response.encoding && response.encoding !== 'utf-8') {
+                    this.showMessage(`File read as ${FileParser.ENCODINGS[response.encoding]}. Use the upload window to pick another encoding.`, 'info');
+                } else if (response.layout) {
+                    this.showMessage(`Detected CSV layout: ${FileParser.CSV_LAYOUTS[response.layout]}`, 'info');
+                } else if (response.source) {
+                    this.showMessage(`Imported as ${ImportAdapters.SOURCES[response.source]}`, 'info');
+                }
             } else {
                 throw new Error(response.error || 'File processing failed');
             }
@@ -191,9 +764,11 @@ class PopupController {
             if (error.message.includes('File too large')) {
                 userMessage = 'File is too large. Maximum size is 5MB.';
             } else if (error.message.includes('Unsupported file format')) {
-                userMessage = 'Unsupported file format. Please use JSON, CSV, or TXT files.';
+                userMessage = 'Unsupported file format. Please use JSON, YAML, CSV, TXT, or vCard files.';
             } else if (error.message.includes('parsing failed')) {
-                userMessage = 'File format is invalid or corrupted. Please check your file.';
+                userMessage = this.diagnosticsPanel.hidden
+                    ? 'File format is invalid or corrupted. Please check your file.'
+                    : 'File format is invalid. See the issues listed below the upload area.';
             } else if (error.message.includes('storage')) {
                 userMessage = 'Failed to save file data. Please try again or use a smaller file.';
             } else if (error.message.includes('timeout') || error.message.includes('Failed to load')) {
@@ -210,6 +785,23 @@ class PopupController {
         }
     }
 
+    // List parser diagnostics so users can fix the lines that were skipped
+    renderDiagnostics(diagnostics) {
+        const list = document.getElementById('diagnosticsList');
+        list.innerHTML = '';
+
+        diagnostics.forEach(diagnostic => {
+            const item = document.createElement('li');
+            item.className = `diagnostic diagnostic-${diagnostic.severity}`;
+            item.textContent = FileParser.formatDiagnostic(diagnostic);
+            list.appendChild(item);
+        });
+
+        const noun = diagnostics.length === 1 ? 'issue' : 'issues';
+        document.getElementById('diagnosticsTitle').textContent = `${diagnostics.length} ${noun} found in the file`;
+        this.diagnosticsPanel.hidden = diagnostics.length === 0;
+    }
+
     async processFile(file) {
         // Fallback method for drag and drop
         return this.processFileBrowser(file);
@@ -254,17 +846,21 @@ class PopupController {
         this.uploadArea.style.display = 'none';
     }
 
+    resetFileStatus() {
+        this.fileStatus.hidden = true;
+        this.uploadArea.style.display = 'block';
+    }
+
     removeFile() {
         this.currentFile = null;
         this.userData = null;
         this.autofillBtn.disabled = true;
-        this.fileStatus.hidden = true;
-        this.uploadArea.style.display = 'block';
+        this.resetFileStatus();
 
-        // Clear stored data
-        browserAPI.storage.local.remove(['userData']);
+        // Clear the active profile's stored data
+        browserAPI.runtime.sendMessage({ action: 'clearUserData', profileId: this.activeProfileId });
 
-        this.showMessage('File removed', 'info');
+        this.showMessage('Profile data cleared', 'info');
     }
 
     async triggerAutoFill() {
@@ -283,14 +879,21 @@ class PopupController {
             const response = await Promise.race([
                 browserAPI.runtime.sendMessage({ action: 'triggerAutoFill' }),
                 new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Auto-fill request timeout')), 10000)
+                    setTimeout(() => reject(new Error('Auto-fill request timeout')), PopupController.AUTOFILL_TIMEOUT)
                 )
             ]);
 
             if (response && response.success) {
                 const fieldsCount = response.results?.fieldsFilled || 0;
                 this.showAutoFillProgress(`Filled ${fieldsCount} fields`, true);
-                this.showMessage(`Successfully filled ${fieldsCount} form fields!`, 'success');
+                if (response.wizard !== undefined) {
+                    this.renderWizardSession(response.wizard);
+                }
+                const templateIssues = response.results?.templateIssues || [];
+                this.showMessage(
+                    this.describeAutoFillSuccess(fieldsCount, response) + this.describeTemplateIssues(templateIssues),
+                    templateIssues.length > 0 ? 'warning' : 'success'
+                );
             } else {
                 this.handleAutoFillError(response);
             }
@@ -307,6 +910,173 @@ class PopupController {
         }
     }
 
+    describeAutoFillSuccess(fieldsCount, response) {
+        let message = `Successfully filled ${fieldsCount} form fields${this.describeFrames(response.results)}`;
+
+        if (response.profile) {
+            message += ` from "${response.profile.name}"`;
+            if (response.profile.recordCount > 1 && this.recordProfileId === response.profile.id) {
+                const index = response.profile.recordIndex;
+                message += `, record "${this.getRecordLabel(this.recordState.records[index], index)}"`;
+            }
+        }
+        if (response.matchedRule) {
+            message += ` (site rule "${response.matchedRule.pattern}")`;
+        }
+        message += '!';
+
+        if (response.results?.followUp) {
+            message += ` Watching for new fields for ${response.results.followUp.seconds} seconds.`;
+        }
+
+        if (response.batch) {
+            const { batch } = response;
+            if (batch.complete) {
+                message += ' Batch complete.';
+            } else if (batch.advanceOn === 'submit') {
+                message += ' Submit the form to move to the next row.';
+            } else {
+                message += ` Next up: row ${batch.cursor + 1} of ${batch.total}.`;
+            }
+        }
+
+        return message;
+    }
+
+    // Show the multi-step form session for the current site, if one is running
+    async loadWizardSession() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getWizardSession' });
+            if (response && response.success) {
+                this.renderWizardSession(response.data);
+            }
+        } catch (error) {
+            console.error('Error loading multi-step session:', error);
+        }
+    }
+
+    // Follow-up passes of this tab's last fill, which finish after its response
+    async loadLastFill() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getFillResults' });
+            this.renderLastFill(response && response.success ? response.data : null);
+        } catch (error) {
+            console.error('Error loading last fill:', error);
+        }
+    }
+
+    renderLastFill(entry) {
+        const element = document.getElementById('lastFill');
+        const passes = entry ? entry.passes.filter(pass => pass.pass > 1) : [];
+        element.hidden = passes.length === 0;
+        if (passes.length === 0) {
+            return;
+        }
+
+        const added = passes.reduce((total, pass) => total + pass.fieldsFilled, 0);
+        element.textContent = `Last fill: ${entry.fieldsFilled} fields, ${added} of them in ` +
+            `${passes.length} follow-up pass${passes.length === 1 ? '' : 'es'}`;
+        element.title = passes
+            .map(pass => `Pass ${pass.pass}: ${pass.fieldsFilled} of ${pass.fieldsDetected} new fields` +
+                (pass.error ? ` (${pass.error})` : ''))
+            .join('\n');
+    }
+
+    // Start or finish the session for the current site
+    async updateWizardSession(action) {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to update the multi-step session');
+            }
+
+            this.renderWizardSession(response.data);
+            this.showMessage(
+                response.data
+                    ? 'Session started. Fill each page of the form; later pages offer to continue.'
+                    : 'Multi-step session finished',
+                'success'
+            );
+        } catch (error) {
+            console.error('Error updating multi-step session:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Timeline of the steps filled so far
+    renderWizardSession(session) {
+        const timeline = document.getElementById('wizardTimeline');
+        document.getElementById('wizardStartBtn').hidden = !!session;
+        document.getElementById('wizardFinishBtn').hidden = !session;
+        timeline.hidden = !session || session.steps.length === 0;
+        timeline.innerHTML = '';
+
+        if (!session) {
+            document.getElementById('wizardTitle').textContent = 'Multi-step form';
+            return;
+        }
+
+        const filled = session.steps.reduce((total, step) => total + step.fieldsFilled, 0);
+        document.getElementById('wizardTitle').textContent = session.steps.length > 0
+            ? `Multi-step form: ${session.steps.length} step${session.steps.length === 1 ? '' : 's'}, ${filled} fields`
+            : 'Multi-step form: fill the first page to begin';
+
+        session.steps.forEach(step => {
+            let page = step.title;
+            if (!page) {
+                try {
+                    page = new URL(step.url).pathname;
+                } catch (error) {
+                    page = step.url;
+                }
+            }
+
+            const item = document.createElement('li');
+            item.className = 'wizard-step';
+            item.textContent = `${page} `;
+            const meta = document.createElement('span');
+            meta.className = 'wizard-step-meta';
+            meta.textContent = `${step.fieldsFilled} fields, ${new Date(step.at).toLocaleTimeString()}`;
+            item.title = step.keys.join(', ');
+            item.appendChild(meta);
+            timeline.appendChild(item);
+        });
+    }
+
+    // Where the fields were filled, when embedded frames were involved
+    describeFrames(results) {
+        const frames = (results?.frames || []).filter(frame => frame.fieldsFilled > 0);
+        if (frames.length === 0 || (frames.length === 1 && frames[0].frameId === 0)) {
+            return '';
+        }
+
+        const parts = frames.map(frame => {
+            if (frame.frameId === 0) {
+                return `${frame.fieldsFilled} on the page`;
+            }
+            let host = frame.url;
+            try {
+                host = new URL(frame.url).hostname;
+            } catch (error) {
+                // Keep the raw URL
+            }
+            return `${frame.fieldsFilled} in a frame from ${host}`;
+        });
+        return ` (${parts.join(', ')})`;
+    }
+
+    // Templated values that could not be filled (unknown variables, circular references)
+    describeTemplateIssues(issues) {
+        // Every frame resolves the same profile, so frames report the same issues
+        issues = issues.filter((issue, index) => issues.findIndex(other =>
+            other.key === issue.key && other.message === issue.message) === index);
+        if (issues.length === 0) {
+            return '';
+        }
+        const details = issues.map(issue => `${issue.key}: ${issue.message}`).join('; ');
+        return ` ${issues.length} templated value${issues.length === 1 ? ' was' : 's were'} skipped (${details}).`;
+    }
+
     handleAutoFillError(response) {
         const error = response?.error || 'Auto-fill failed';
         const errorType = response?.errorType;
@@ -328,6 +1098,10 @@ class PopupController {
             case 'NO_DATA':
                 userMessage = 'No data available for auto-fill. Please upload a file first.';
                 break;
+            case 'LOCKED':
+                userMessage = 'Your data is locked. Enter your passphrase to unlock it.';
+                this.loadStoredData();
+                break;
             case 'STORAGE_ERROR':
                 userMessage = 'Failed to access stored data. Please try uploading your file again.';
                 break;
@@ -390,6 +1164,9 @@ class PopupController {
 
         if (!isHidden) {
             this.loadFieldMappings();
+            this.loadSiteRules();
+            this.loadVaultSettings();
+            this.loadFollowUpSettings();
             // Disable save button initially
             document.getElementById('saveMappings').disabled = true;
         }
@@ -398,7 +1175,7 @@ class PopupController {
     async loadFieldMappings() {
         try {
             const result = await browserAPI.storage.local.get(['fieldMappings']);
-            this.currentMappings = result.fieldMappings || this.getDefaultMappings();
+            this.currentMappings = result.fieldMappings || FieldMappingRegistry.getDefaultMappings();
 
             this.renderMappings();
 
@@ -469,7 +1246,7 @@ class PopupController {
         });
 
         // Handle label editing for custom mappings
-        if (!this.getDefaultMappings().hasOwnProperty(fieldType)) {
+        if (!FieldMappingRegistry.isDefault(fieldType)) {
             labelInput.removeAttribute('readonly');
             labelInput.addEventListener('blur', () => {
                 this.updateMappingFieldType(mappingItem, labelInput.value);
@@ -547,7 +1324,7 @@ class PopupController {
     }
 
     removeMappingItem(fieldType) {
-        if (this.getDefaultMappings().hasOwnProperty(fieldType)) {
+        if (FieldMappingRegistry.isDefault(fieldType)) {
             this.showMessage('Cannot remove default field mappings', 'error');
             return;
         }
@@ -558,7 +1335,7 @@ class PopupController {
     }
 
     addCustomMapping() {
-        const newFieldType = prompt('Enter the name for the new data field:');
+        const newFieldType = prompt('Enter the name or path of the new data field (e.g. address.billing.zip):');
 
         if (!newFieldType || !newFieldType.trim()) {
             return;
@@ -566,6 +1343,11 @@ class PopupController {
 
         const fieldType = newFieldType.trim();
 
+        if (!DataPath.isValid(fieldType)) {
+            this.showMessage('Invalid field path. Use dots for nested fields and [n] for list items, e.g. phones[1]', 'error');
+            return;
+        }
+
         if (this.currentMappings.hasOwnProperty(fieldType)) {
             this.showMessage('Field type already exists', 'error');
             return;
@@ -586,6 +1368,231 @@ class PopupController {
         this.enableSaveButton();
     }
 
+    async loadSiteRules() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getSiteRules' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to load site rules');
+            }
+
+            this.siteRules = response.data.map(rule => ({ ...rule }));
+            this.renderSiteRules();
+        } catch (error) {
+            console.error('Error loading site rules:', error);
+            this.showMessage('Error loading site rules', 'error');
+        }
+    }
+
+    renderSiteRules() {
+        const rulesList = document.getElementById('rulesList');
+        rulesList.innerHTML = '';
+
+        if (this.siteRules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'rules-empty';
+            empty.textContent = 'No site rules yet';
+            rulesList.appendChild(empty);
+            return;
+        }
+
+        this.siteRules.forEach((rule, index) => {
+            rulesList.appendChild(this.createRuleItem(rule, index));
+        });
+    }
+
+    createRuleItem(rule, index) {
+        const ruleItem = document.createElement('div');
+        ruleItem.className = 'rule-item';
+
+        const patternInput = document.createElement('input');
+        patternInput.type = 'text';
+        patternInput.className = 'rule-pattern';
+        patternInput.placeholder = '*.example.com';
+        patternInput.value = rule.pattern;
+
+        const profileSelect = document.createElement('select');
+        profileSelect.className = 'rule-profile';
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = rule.profileId;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'mapping-remove';
+        removeBtn.title = 'Remove rule';
+        removeBtn.textContent = '×';
+
+        patternInput.addEventListener('input', () => {
+            this.siteRules[index].pattern = patternInput.value;
+            this.enableSaveButton();
+        });
+
+        profileSelect.addEventListener('change', () => {
+            this.siteRules[index].profileId = profileSelect.value;
+            this.enableSaveButton();
+        });
+
+        removeBtn.addEventListener('click', () => {
+            this.siteRules.splice(index, 1);
+            this.renderSiteRules();
+            this.enableSaveButton();
+        });
+
+        ruleItem.append(patternInput, profileSelect, removeBtn);
+        return ruleItem;
+    }
+
+    addSiteRule() {
+        this.siteRules.push({ pattern: '', profileId: this.activeProfileId });
+        this.renderSiteRules();
+
+        const inputs = document.querySelectorAll('#rulesList .rule-pattern');
+        inputs[inputs.length - 1].focus();
+
+        this.enableSaveButton();
+    }
+
+    async loadVaultSettings() {
+        try {
+            const [vaultStatus, settingsResponse] = await Promise.all([
+                this.loadVaultStatus(),
+                browserAPI.runtime.sendMessage({ action: 'getSettings' })
+            ]);
+
+            if (settingsResponse && settingsResponse.success) {
+                document.getElementById('vaultIdleMinutes').value = settingsResponse.data.vaultIdleMinutes;
+            }
+
+            // Without session storage the vault would lock every time the background page unloads
+            const unsupported = !vaultStatus.enabled && !vaultStatus.keepsSession;
+            document.getElementById('vaultStatusText').textContent = vaultStatus.enabled
+                ? 'Profiles are encrypted. Enter your passphrase to turn encryption off.'
+                : unsupported
+                    ? 'The vault needs Firefox 115 or later, which keeps it unlocked between uses.'
+                    : 'Encrypt your profiles with a passphrase. It cannot be recovered if you forget it.';
+            document.getElementById('vaultConfirmPassphrase').hidden = vaultStatus.enabled;
+            document.getElementById('vaultToggleBtn').textContent = vaultStatus.enabled ? 'Disable Vault' : 'Enable Vault';
+            document.getElementById('vaultToggleBtn').disabled = unsupported;
+        } catch (error) {
+            console.error('Error loading vault settings:', error);
+            this.showMessage('Error loading vault settings', 'error');
+        }
+    }
+
+    async toggleVault() {
+        const passphraseInput = document.getElementById('vaultNewPassphrase');
+        const confirmInput = document.getElementById('vaultConfirmPassphrase');
+        const enabling = !this.vaultStatus?.enabled;
+
+        if (!passphraseInput.value) {
+            this.showMessage('Please enter a passphrase', 'error');
+            return;
+        }
+
+        if (enabling && passphraseInput.value !== confirmInput.value) {
+            this.showMessage('Passphrases do not match', 'error');
+            return;
+        }
+
+        try {
+            const response = await browserAPI.runtime.sendMessage({
+                action: enabling ? 'enableVault' : 'disableVault',
+                passphrase: passphraseInput.value
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Vault update failed');
+            }
+
+            passphraseInput.value = '';
+            confirmInput.value = '';
+            this.showMessage(enabling ? 'Vault enabled. Your profiles are now encrypted.' : 'Vault disabled', 'success');
+
+            await this.loadVaultSettings();
+            await this.loadStoredData();
+        } catch (error) {
+            console.error('Error updating vault:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async saveVaultIdleMinutes() {
+        const minutesInput = document.getElementById('vaultIdleMinutes');
+        const minutes = parseInt(minutesInput.value, 10);
+
+        if (isNaN(minutes) || minutes < 1 || minutes > 1440) {
+            this.showMessage('Idle timeout must be between 1 and 1440 minutes', 'error');
+            return;
+        }
+
+        try {
+            const settingsResponse = await browserAPI.runtime.sendMessage({ action: 'getSettings' });
+            if (!settingsResponse || !settingsResponse.success) {
+                throw new Error(settingsResponse?.error || 'Failed to load settings');
+            }
+
+            const response = await browserAPI.runtime.sendMessage({
+                action: 'updateSettings',
+                settings: { ...settingsResponse.data, vaultIdleMinutes: minutes }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to save settings');
+            }
+
+            this.showMessage(`Vault will lock after ${minutes} minutes idle`, 'success');
+        } catch (error) {
+            console.error('Error saving vault timeout:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async loadFollowUpSettings() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getSettings' });
+            if (response && response.success) {
+                document.getElementById('watchNewFields').checked = response.data.watchNewFields;
+                document.getElementById('watchNewFieldsSeconds').value = response.data.watchNewFieldsSeconds;
+            }
+        } catch (error) {
+            console.error('Error loading follow-up settings:', error);
+        }
+    }
+
+    async saveFollowUpSettings() {
+        const enabled = document.getElementById('watchNewFields').checked;
+        const seconds = parseInt(document.getElementById('watchNewFieldsSeconds').value, 10);
+
+        if (isNaN(seconds) || seconds < 1 || seconds > 60) {
+            this.showMessage('The watch window must be between 1 and 60 seconds', 'error');
+            return;
+        }
+
+        try {
+            const settingsResponse = await browserAPI.runtime.sendMessage({ action: 'getSettings' });
+            if (!settingsResponse || !settingsResponse.success) {
+                throw new Error(settingsResponse?.error || 'Failed to load settings');
+            }
+
+            const response = await browserAPI.runtime.sendMessage({
+                action: 'updateSettings',
+                settings: { ...settingsResponse.data, watchNewFields: enabled, watchNewFieldsSeconds: seconds }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to save settings');
+            }
+
+            this.showMessage(
+                enabled ? `New fields will be filled for ${seconds} seconds after each fill` : 'Follow-up filling turned off',
+                'success'
+            );
+        } catch (error) {
+            console.error('Error saving follow-up settings:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
     enableSaveButton() {
         const saveBtn = document.getElementById('saveMappings');
         saveBtn.disabled = false;
@@ -603,10 +1610,21 @@ class PopupController {
             // Save to storage
             await browserAPI.storage.local.set({ fieldMappings: this.currentMappings });
 
+            // Site rules are validated by the background script
+            const rulesResponse = await browserAPI.runtime.sendMessage({
+                action: 'updateSiteRules',
+                rules: this.siteRules
+            });
+            if (!rulesResponse || !rulesResponse.success) {
+                this.showMessage(rulesResponse?.error || 'Error saving site rules', 'error');
+                return;
+            }
+            this.siteRules = rulesResponse.data;
+
             // Disable save button
             document.getElementById('saveMappings').disabled = true;
 
-            this.showMessage('Field mappings saved successfully!', 'success');
+            this.showMessage('Field mappings and site rules saved successfully!', 'success');
 
         } catch (error) {
             console.error('Error saving mappings:', error);
@@ -633,30 +1651,13 @@ class PopupController {
         return { valid: true };
     }
 
-    getDefaultMappings() {
-        return {
-            firstName: ['firstName', 'fname', 'given_name', 'first_name', 'firstname', 'first-name'],
-            lastName: ['lastName', 'lname', 'surname', 'last_name', 'lastname', 'last-name'],
-            email: ['email', 'email_address', 'e_mail', 'e-mail', 'mail'],
-            phone: ['phone', 'telephone', 'tel', 'phone_number', 'mobile', 'cell'],
-            street: ['street', 'address', 'address1', 'street_address', 'addr1'],
-            city: ['city', 'town', 'locality'],
-            state: ['state', 'province', 'region'],
-            zipCode: ['zipCode', 'zip', 'postal_code', 'postcode', 'zip_code', 'postal'],
-            country: ['country', 'nation', 'country_name'],
-            company: ['company', 'organization', 'employer'],
-            website: ['website', 'url', 'homepage'],
-            dateOfBirth: ['dateOfBirth', 'dob', 'birthDate', 'birth_date']
-        };
-    }
-
     async resetMappings() {
         if (!confirm('Are you sure you want to reset all field mappings to defaults? This will remove any custom mappings you have created.')) {
             return;
         }
 
         try {
-            const defaultMappings = this.getDefaultMappings();
+            const defaultMappings = FieldMappingRegistry.getDefaultMappings();
             await browserAPI.storage.local.set({ fieldMappings: defaultMappings });
 
             // Update current mappings and re-render
@@ -687,6 +1688,7 @@ class PopupController {
                 messageIcon.textContent = '✓';
                 break;
             case 'error':
+            case 'warning':
                 messageIcon.textContent = '⚠';
                 break;
             case 'info':
@@ -4,6 +4,9 @@
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 class UploadPageController {
+    // Profile select value that creates a new profile on upload
+    static NEW_PROFILE = '__new__';
+
     constructor() {
         this.fileInput = document.getElementById('fileInput');
         this.uploadArea = document.getElementById('uploadArea');
@@ -11,8 +14,38 @@ class UploadPageController {
         this.messageElement = document.getElementById('message');
         this.closeBtn = document.getElementById('closeBtn');
         this.uploadAnotherBtn = document.getElementById('uploadAnotherBtn');
+        this.profileSelect = document.getElementById('profileSelect');
+        this.encodingSelect = document.getElementById('encodingSelect');
+        this.importModeSelect = document.getElementById('importModeSelect');
+        this.mergePanel = document.getElementById('mergePanel');
+        this.encodingPreview = document.getElementById('encodingPreview');
+        this.diagnosticsPanel = document.getElementById('diagnosticsPanel');
+        this.reviewPanel = document.getElementById('reviewPanel');
+        this.reviewRecordSelect = document.getElementById('reviewRecordSelect');
+        this.reviewBody = document.getElementById('reviewTableBody');
+        this.sanitization = null;
+        this.fieldMappings = null;
+
+        // Records of the profile being reviewed: { profileId, records, index, dirty }
+        this.review = null;
+
+        // Upload waiting for the user to pick merge changes: { file, parsed, profileId, index, multiRecord, current, diff }
+        this.pendingMerge = null;
+
+        // Last uploaded file and its profile, re-read when the encoding changes
+        this.lastUpload = null;
+
+        Object.entries(FileParser.ENCODINGS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.encodingSelect.appendChild(option);
+        });
 
         this.initializeEventListeners();
+        this.loadProfiles();
+        this.loadSanitizationPolicy();
+        this.loadFieldMappings();
     }
 
     initializeEventListeners() {
@@ -22,6 +55,22 @@ class UploadPageController {
         this.uploadArea.addEventListener('dragleave', this.handleDragLeave.bind(this));
         this.uploadArea.addEventListener('drop', this.handleDrop.bind(this));
         this.fileInput.addEventListener('change', this.handleFileSelect.bind(this));
+        this.encodingSelect.addEventListener('change', this.handleEncodingChange.bind(this));
+
+        // Merge events
+        document.getElementById('applyMergeBtn').addEventListener('click', this.applyMerge.bind(this));
+        document.getElementById('cancelMergeBtn').addEventListener('click', this.cancelMerge.bind(this));
+
+        // Review events
+        this.reviewRecordSelect.addEventListener('change', this.selectReviewRecord.bind(this));
+        document.getElementById('addReviewFieldBtn').addEventListener('click', () => {
+            this.addReviewRow('', '').querySelector('.review-key').focus();
+            this.review.dirty = true;
+        });
+        document.getElementById('saveReviewBtn').addEventListener('click', this.saveReview.bind(this));
+        this.reviewPanel.addEventListener('input', () => {
+            this.review.dirty = true;
+        });
 
         // Button events
         this.closeBtn.addEventListener('click', this.closeWindow.bind(this));
@@ -31,6 +80,112 @@ class UploadPageController {
         document.addEventListener('keydown', this.handleKeydown.bind(this));
     }
 
+    // Load the value sanitization policy from settings (parser defaults apply until it arrives)
+    async loadSanitizationPolicy() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getSettings' });
+            if (response && response.success) {
+                this.sanitization = response.data.sanitization;
+            }
+        } catch (error) {
+            console.error('Error loading sanitization policy:', error);
+        }
+    }
+
+    // Load field mappings to suggest canonical names while reviewing (defaults until they arrive)
+    async loadFieldMappings() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getFieldMappings' });
+            if (response && response.success) {
+                this.fieldMappings = response.data;
+            }
+        } catch (error) {
+            console.error('Error loading field mappings:', error);
+        }
+
+        const list = document.getElementById('fieldTypeList');
+        list.innerHTML = '';
+        Object.keys(this.getFieldMappings()).forEach(fieldType => {
+            const option = document.createElement('option');
+            option.value = fieldType;
+            list.appendChild(option);
+        });
+    }
+
+    getFieldMappings() {
+        return this.fieldMappings || FieldMappingRegistry.getDefaultMappings();
+    }
+
+    async loadProfiles() {
+        try {
+            const response = await browserAPI.runtime.sendMessage({ action: 'getProfiles' });
+            if (response?.errorType === 'LOCKED') {
+                this.showMessage('Your data is locked. Unlock the vault from the extension popup before uploading.', 'error');
+                return;
+            }
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to load profiles');
+            }
+
+            const { profiles, activeProfileId } = response.data;
+            this.profileSelect.innerHTML = '';
+
+            profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                if (profile.recordCount > 1) {
+                    option.textContent = `${profile.name} (has ${profile.recordCount} records)`;
+                } else {
+                    option.textContent = profile.fieldCount > 0
+                        ? `${profile.name} (has ${profile.fieldCount} fields)`
+                        : profile.name;
+                }
+                this.profileSelect.appendChild(option);
+            });
+
+            const newOption = document.createElement('option');
+            newOption.value = UploadPageController.NEW_PROFILE;
+            newOption.textContent = '+ New profile...';
+            this.profileSelect.appendChild(newOption);
+
+            this.profileSelect.value = activeProfileId;
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+            this.showMessage('Could not load profiles. Data will be saved to the active profile.', 'error');
+        }
+    }
+
+    async storeParsedData(parsed, extension) {
+        let response;
+
+        if (this.profileSelect.value === UploadPageController.NEW_PROFILE) {
+            const name = prompt('Enter a name for the new profile:');
+            if (!name || !name.trim()) {
+                throw new Error('A profile name is required to create a new profile');
+            }
+            response = await browserAPI.runtime.sendMessage({
+                action: 'createProfile',
+                name,
+                data: parsed.data,
+                records: parsed.records
+            });
+        } else {
+            response = await browserAPI.runtime.sendMessage({
+                action: 'uploadFile',
+                fileData: parsed.data,
+                records: parsed.records,
+                fileType: extension,
+                profileId: this.profileSelect.value || null
+            });
+        }
+
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to store file data');
+        }
+
+        return response.data || response.profile;
+    }
+
     handleDragOver(e) {
         e.preventDefault();
         this.uploadArea.classList.add('drag-over');
@@ -58,8 +213,20 @@ class UploadPageController {
         }
     }
 
+    // Read the last file again with the newly chosen encoding, into the same profile
+    handleEncodingChange() {
+        if (!this.lastUpload) {
+            return;
+        }
+
+        this.profileSelect.value = this.lastUpload.profileId;
+        this.processFile(this.lastUpload.file);
+    }
+
     async processFile(file) {
         try {
+            this.renderDiagnostics([]);
+            this.closeMergePreview();
             this.showMessage('Processing file...', 'info');
 
             // Validate file before processing
@@ -75,58 +242,207 @@ class UploadPageController {
                 throw new Error('File too large. Maximum size is 5MB.');
             }
 
-            // Check file extension
-            const extension = file.name.split('.').pop().toLowerCase();
-            if (!['json', 'csv', 'txt'].includes(extension)) {
-                throw new Error('Unsupported file format. Please use JSON, CSV, or TXT files.');
-            }
-
             // Check if FileParser is available
             if (typeof FileParser === 'undefined') {
                 throw new Error('FileParser not available. Please reload the extension.');
             }
 
+            // Check file extension
+            const extension = file.name.split('.').pop().toLowerCase();
+            if (!FileParser.ALLOWED_EXTENSIONS.includes(extension)) {
+                throw new Error('Unsupported file format. Please use JSON, YAML, CSV, TXT, or vCard files.');
+            }
+
             // Parse the file
-            const parsedData = await this.parseFileWithProgress(file);
+            const parsed = await this.parseFileWithProgress(file);
 
             // Validate parsed data
-            if (!parsedData || typeof parsedData !== 'object') {
+            if (!parsed || !parsed.data || typeof parsed.data !== 'object') {
                 throw new Error('File parsing returned invalid data');
             }
 
-            if (Object.keys(parsedData).length === 0) {
+            if (Object.keys(DataPath.flatten(parsed.data)).length === 0) {
                 throw new Error('No valid data found in file');
             }
 
-            // Store the data
-            await browserAPI.storage.local.set({ userData: parsedData });
+            // Merges wait for the user to pick changes in the preview
+            if (this.importModeSelect.value === 'merge' &&
+                this.profileSelect.value !== UploadPageController.NEW_PROFILE &&
+                await this.prepareMerge(file, parsed)) {
+                this.fileInput.value = '';
+                return;
+            }
 
-            // Update UI
-            this.updateFileStatus(file.name, `${Object.keys(parsedData).length} fields loaded`);
-            this.showMessage('File uploaded successfully! You can now close this window and use auto-fill.', 'success');
-            
-            // Show upload another button
-            this.uploadAnotherBtn.style.display = 'inline-flex';
-            this.closeBtn.textContent = 'Done';
+            // Store the data in the selected profile
+            const profile = await this.storeParsedData(parsed, extension);
+            const summary = parsed.records.length > 1
+                ? `${parsed.records.length} records loaded into "${profile.name}"`
+                : `${Object.keys(DataPath.flatten(parsed.data)).length} fields loaded into "${profile.name}"`;
+            await this.finishUpload(file, parsed, profile, summary);
 
-            // Clear file input
+        } catch (error) {
+            console.error('File processing error:', error);
+            this.renderDiagnostics(error.diagnostics || []);
+            this.showMessage(error.message, 'error');
             this.fileInput.value = '';
+        }
+    }
+
+    // Show the stored result of an upload or merge
+    async finishUpload(file, parsed, profile, summary) {
+        await this.loadProfiles();
+        this.lastUpload = { file, profileId: profile.id };
+        await this.openReview(profile.id);
 
-            // Auto-close after 3 seconds (optional)
-            setTimeout(() => {
-                this.showMessage('Auto-closing in 3 seconds... Click "Done" to close now.', 'info');
-                setTimeout(() => {
-                    this.closeWindow();
-                }, 3000);
-            }, 2000);
+        // Update UI
+        let details = summary;
+        if (parsed.layout) {
+            details += ` (detected layout: ${FileParser.CSV_LAYOUTS[parsed.layout]})`;
+        }
+        if (parsed.source) {
+            details += ` (imported as ${ImportAdapters.SOURCES[parsed.source]})`;
+        }
+        details += `, read as ${FileParser.ENCODINGS[parsed.encoding]}`;
+        this.updateFileStatus(file.name, details);
+        this.renderEncodingPreview(parsed);
+        this.renderDiagnostics(parsed.diagnostics);
+        if (parsed.changes.length > 0) {
+            this.showMessage(`File uploaded. ${FileParser.describeChanges(parsed.changes)}`, 'warning');
+        } else {
+            this.showMessage('File uploaded. Check the values below, then close this window and use auto-fill.', 'success');
+        }
+
+        // Show upload another button
+        this.uploadAnotherBtn.style.display = 'inline-flex';
+        this.closeBtn.textContent = 'Done';
+
+        // Clear file input
+        this.fileInput.value = '';
+    }
+
+    // Compare an upload with the target profile and show the merge preview
+    // Returns false when there is nothing to merge into, so the upload is stored as usual
+    async prepareMerge(file, parsed) {
+        if (parsed.records.length > 1) {
+            throw new Error('Only files with a single record can be merged. Choose "Replace" to import several records.');
+        }
+
+        const profileId = this.profileSelect.value;
+        const response = await browserAPI.runtime.sendMessage({ action: 'getRecords', profileId });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to load the profile to merge into');
+        }
+
+        const { records, recordIndex } = response.data;
+        const current = records[recordIndex] || {};
+        if (records.length < 2 && Object.keys(DataPath.flatten(current)).length === 0) {
+            return false;
+        }
+
+        const diff = DataPath.diff(current, parsed.data);
+        this.renderDiagnostics(parsed.diagnostics);
+        if (diff.length === 0) {
+            this.showMessage('The file matches this profile; there is nothing to merge.', 'info');
+            return true;
+        }
+
+        this.pendingMerge = { file, parsed, profileId, index: recordIndex, multiRecord: records.length > 1, current, diff };
+        this.renderMergePreview(response.profile.name);
+        this.showMessage('Choose which changes to merge, then apply them.', 'info');
+        return true;
+    }
 
+    // List every added, changed and removed key with a checkbox
+    renderMergePreview(profileName) {
+        const list = document.getElementById('mergeList');
+        const { diff } = this.pendingMerge;
+
+        list.innerHTML = '';
+        const noun = diff.length === 1 ? 'difference' : 'differences';
+        document.getElementById('mergeTitle').textContent = `${diff.length} ${noun} with "${profileName}"`;
+
+        diff.forEach((change, index) => {
+            const item = document.createElement('li');
+            item.className = `merge-${change.type}`;
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.index = index;
+            // New and changed values are applied by default; keys missing from the file are kept
+            checkbox.checked = change.type !== 'removed';
+
+            const type = document.createElement('span');
+            type.className = 'merge-type';
+            type.textContent = change.type;
+
+            const path = document.createElement('span');
+            path.className = 'merge-path';
+            path.textContent = change.path;
+
+            const values = document.createElement('span');
+            if (change.type === 'changed') {
+                const old = document.createElement('span');
+                old.className = 'merge-old';
+                old.textContent = change.before;
+                values.append(old, ` → ${change.after}`);
+            } else if (change.type === 'added') {
+                values.textContent = change.after;
+            } else {
+                const old = document.createElement('span');
+                old.className = 'merge-old';
+                old.textContent = change.before;
+                values.appendChild(old);
+            }
+
+            label.append(checkbox, type, path, values);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+
+        this.mergePanel.classList.add('show');
+    }
+
+    // Store the profile with the ticked changes applied
+    async applyMerge() {
+        if (!this.pendingMerge) {
+            return;
+        }
+
+        const { file, parsed, profileId, index, multiRecord, current, diff } = this.pendingMerge;
+        const accepted = Array.from(document.querySelectorAll('#mergeList input:checked'))
+            .map(checkbox => diff[Number(checkbox.dataset.index)]);
+
+        try {
+            const merged = DataPath.applyChanges(current, accepted);
+
+            // Multi-record profiles keep their other records
+            const response = await browserAPI.runtime.sendMessage(multiRecord
+                ? { action: 'updateRecord', profileId, index, data: merged }
+                : { action: 'updateUserData', profileId, data: merged });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to merge the file');
+            }
+
+            const profile = response.data || response.profile;
+            this.closeMergePreview();
+            await this.finishUpload(file, parsed, profile, `${accepted.length} of ${diff.length} changes merged into "${profile.name}"`);
         } catch (error) {
-            console.error('File processing error:', error);
+            console.error('Error applying merge:', error);
             this.showMessage(error.message, 'error');
-            this.fileInput.value = '';
         }
     }
 
+    cancelMerge() {
+        this.closeMergePreview();
+        this.showMessage('Merge cancelled. The profile was not changed.', 'info');
+    }
+
+    closeMergePreview() {
+        this.pendingMerge = null;
+        this.mergePanel.classList.remove('show');
+    }
+
     async parseFileWithProgress(file) {
         // Show parsing progress for larger files
         if (file.size > 1024 * 1024) { // 1MB
@@ -135,7 +451,10 @@ class UploadPageController {
 
         try {
             const parsedData = await Promise.race([
-                FileParser.parse(file),
+                FileParser.parse(file, {
+                    sanitization: this.sanitization || undefined,
+                    encoding: this.encodingSelect.value
+                }),
                 new Promise((_, reject) =>
                     setTimeout(() => reject(new Error('File parsing timeout')), 30000)
                 )
@@ -157,7 +476,237 @@ class UploadPageController {
         this.uploadArea.style.display = 'none';
     }
 
+    // Show values with non-ASCII characters so a wrong encoding is easy to spot
+    renderEncodingPreview(parsed) {
+        const values = FileParser.findNonASCIIValues(parsed.records);
+        const list = document.getElementById('encodingPreviewList');
+
+        list.innerHTML = '';
+        this.encodingPreview.classList.toggle('show', values.length > 0);
+        if (values.length === 0) {
+            return;
+        }
+
+        document.getElementById('encodingPreviewTitle').textContent =
+            `Accented and special characters, read as ${FileParser.ENCODINGS[parsed.encoding]}:`;
+        values.forEach(({ field, value }) => {
+            const item = document.createElement('li');
+            const fieldName = document.createElement('span');
+            fieldName.className = 'encoding-preview-field';
+            fieldName.textContent = field;
+            item.append(fieldName, value.length > 80 ? `${value.slice(0, 80)}…` : value);
+            list.appendChild(item);
+        });
+    }
+
+    // List parser diagnostics so users can fix the lines that were skipped
+    renderDiagnostics(diagnostics) {
+        const list = document.getElementById('diagnosticsList');
+
+        list.innerHTML = '';
+        this.diagnosticsPanel.classList.toggle('show', diagnostics.length > 0);
+
+        const noun = diagnostics.length === 1 ? 'issue' : 'issues';
+        document.getElementById('diagnosticsTitle').textContent = `${diagnostics.length} ${noun} found in the file:`;
+        diagnostics.forEach(diagnostic => {
+            const item = document.createElement('li');
+            item.className = `diagnostic diagnostic-${diagnostic.severity}`;
+            item.textContent = FileParser.formatDiagnostic(diagnostic);
+            list.appendChild(item);
+        });
+    }
+
+    // Show the stored records of a profile so values can be fixed without re-uploading
+    async openReview(profileId) {
+        const response = await browserAPI.runtime.sendMessage({ action: 'getRecords', profileId });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to load the imported data');
+        }
+
+        const { records, recordIndex } = response.data;
+        this.review = { profileId, records, index: recordIndex, dirty: false };
+
+        this.reviewRecordSelect.innerHTML = '';
+        records.forEach((record, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `Record ${index + 1} of ${records.length}`;
+            this.reviewRecordSelect.appendChild(option);
+        });
+        this.reviewRecordSelect.value = recordIndex;
+        this.reviewRecordSelect.hidden = records.length < 2;
+
+        this.renderReviewRecord();
+        this.reviewPanel.classList.add('show');
+    }
+
+    renderReviewRecord() {
+        this.reviewBody.innerHTML = '';
+        Object.entries(DataPath.flatten(this.review.records[this.review.index])).forEach(([path, value]) => {
+            this.addReviewRow(path, value);
+        });
+        this.review.dirty = false;
+    }
+
+    // Switch the reviewed record, asking before unsaved edits are dropped
+    selectReviewRecord() {
+        if (this.review.dirty && !confirm('Discard unsaved changes to this record?')) {
+            this.reviewRecordSelect.value = this.review.index;
+            return;
+        }
+
+        this.review.index = Number(this.reviewRecordSelect.value);
+        this.renderReviewRecord();
+    }
+
+    addReviewRow(key, value) {
+        const row = document.createElement('tr');
+
+        const keyInput = document.createElement('input');
+        keyInput.className = 'review-key';
+        keyInput.value = key;
+        keyInput.setAttribute('list', 'fieldTypeList');
+        keyInput.placeholder = 'Field name';
+        keyInput.addEventListener('input', () => this.updateRenameSuggestion(row));
+
+        const valueInput = document.createElement('input');
+        valueInput.className = 'review-value';
+        valueInput.value = value === null || value === undefined ? '' : String(value);
+        valueInput.placeholder = 'Value';
+
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'review-action review-rename';
+        renameBtn.addEventListener('click', () => {
+            keyInput.value = renameBtn.dataset.fieldType;
+            this.updateRenameSuggestion(row);
+            this.review.dirty = true;
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'review-action review-action-danger';
+        deleteBtn.textContent = '×';
+        deleteBtn.title = 'Delete field';
+        deleteBtn.addEventListener('click', () => {
+            row.remove();
+            this.review.dirty = true;
+        });
+
+        const keyCell = document.createElement('td');
+        const valueCell = document.createElement('td');
+        const actionsCell = document.createElement('td');
+        keyCell.appendChild(keyInput);
+        valueCell.appendChild(valueInput);
+        actionsCell.className = 'review-row-actions';
+        actionsCell.append(renameBtn, ' ', deleteBtn);
+        row.append(keyCell, valueCell, actionsCell);
+
+        this.reviewBody.appendChild(row);
+        this.updateRenameSuggestion(row);
+        return row;
+    }
+
+    // Offer the canonical name when a key is a known alias, e.g. first_name -> firstName
+    updateRenameSuggestion(row) {
+        const key = row.querySelector('.review-key').value.trim();
+        const renameBtn = row.querySelector('.review-rename');
+        const fieldType = key ? FieldMappingRegistry.findFieldType(key, this.getFieldMappings()) : null;
+
+        renameBtn.hidden = !fieldType || fieldType === key;
+        renameBtn.dataset.fieldType = fieldType || '';
+        renameBtn.textContent = `→ ${fieldType}`;
+        renameBtn.title = `Rename to ${fieldType}`;
+    }
+
+    // Build the record from the review table, marking the first invalid field name
+    collectReviewRecord() {
+        const record = {};
+        const seen = new Set();
+
+        for (const row of this.reviewBody.querySelectorAll('tr')) {
+            const keyInput = row.querySelector('.review-key');
+            const key = keyInput.value.trim();
+            const value = row.querySelector('.review-value').value;
+            keyInput.classList.remove('invalid');
+
+            // Rows left completely empty are ignored
+            if (key === '' && value.trim() === '') {
+                continue;
+            }
+
+            let problem = null;
+            if (!DataPath.isValid(key)) {
+                problem = key ? `"${key}" is not a valid field name` : 'Every value needs a field name';
+            } else if (seen.has(key)) {
+                problem = `Field "${key}" is listed more than once`;
+            } else if (DataPath.get(record, key) !== undefined) {
+                problem = `Field "${key}" is already used for nested fields`;
+            }
+
+            if (!problem) {
+                try {
+                    DataPath.set(record, key, FileParser.sanitizeStringValue(value));
+                } catch (error) {
+                    problem = error.message;
+                }
+            }
+
+            if (problem) {
+                keyInput.classList.add('invalid');
+                keyInput.focus();
+                throw new Error(problem);
+            }
+            seen.add(key);
+        }
+
+        if (seen.size === 0) {
+            throw new Error('Add at least one field before saving');
+        }
+
+        return record;
+    }
+
+    // Save the reviewed record back into its profile
+    async saveReview() {
+        try {
+            const { records: [record], changes } = FileParser.applySanitizationPolicy(
+                [this.collectReviewRecord()],
+                this.sanitization || undefined
+            );
+
+            const response = await browserAPI.runtime.sendMessage({
+                action: 'updateRecord',
+                profileId: this.review.profileId,
+                index: this.review.index,
+                data: record
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to save changes');
+            }
+
+            this.review.records[this.review.index] = record;
+            this.renderReviewRecord();
+            await this.loadProfiles();
+
+            const saved = `Saved ${Object.keys(DataPath.flatten(record)).length} fields to "${response.data.name}".`;
+            if (changes.length > 0) {
+                const reviewed = changes.map(change => ({ ...change, record: this.review.index }));
+                this.showMessage(`${saved} ${FileParser.describeChanges(reviewed)}`, 'warning');
+            } else {
+                this.showMessage(saved, 'success');
+            }
+        } catch (error) {
+            console.error('Error saving reviewed data:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
     resetUpload() {
+        this.lastUpload = null;
+        this.encodingPreview.classList.remove('show');
+        this.diagnosticsPanel.classList.remove('show');
+        this.reviewPanel.classList.remove('show');
+        this.review = null;
+        this.closeMergePreview();
         this.fileStatus.classList.remove('show');
         this.uploadArea.style.display = 'block';
         this.uploadAnotherBtn.style.display = 'none';
@@ -178,6 +727,7 @@ class UploadPageController {
                 messageIcon.textContent = '✓';
                 break;
             case 'error':
+            case 'warning':
                 messageIcon.textContent = '⚠';
                 break;
             case 'info':
@@ -197,6 +747,10 @@ class UploadPageController {
     }
 
     closeWindow() {
+        if (this.review && this.review.dirty && !confirm('Close without saving your changes?')) {
+            return;
+        }
+
         // Close the popup window
         window.close();
     }
@@ -0,0 +1,340 @@
+/**
+ * VCardParser reads vCard 3.0 and 4.0 files (.vcf) exported from address books
+ * Each contact becomes one record keyed by the canonical field types the
+ * FieldMapper understands (firstName, email, street, workPhone...)
+ */
+class VCardParser {
+  // TEL types and the field they fill; the first matching entry wins
+  static PHONE_FIELDS = [
+    { types: ['cell', 'mobile'], field: 'mobile' },
+    { types: ['work'], field: 'workPhone' },
+    { types: ['fax', 'pager'], field: null },
+    { types: [], field: 'phone' }
+  ];
+
+  // ADR components in order (RFC 6350 section 6.3.1)
+  static ADR_COMPONENTS = ['poBox', 'extended', 'street', 'city', 'state', 'zipCode', 'country'];
+
+  // GENDER sex codes (vCard 4.0)
+  static GENDERS = { M: 'Male', F: 'Female', O: 'Other', N: 'None', U: 'Unknown' };
+
+  /**
+   * Parses vCard content into one record per contact
+   * @param {string} content - Raw .vcf content
+   * @param {function(string, number)} [onWarning] - Called with a message and line number for skipped lines
+   * @returns {Object[]} Records with canonical field keys
+   * @throws {Error} When the content holds no complete vCard; the error's `line` is set when known
+   */
+  static parse(content, onWarning = () => {}) {
+    const contacts = [];
+    let current = null;
+
+    for (const { number, text } of this.unfoldLines(content)) {
+      if (text.trim() === '') {
+        continue;
+      }
+
+      const property = this.parseLine(text);
+      if (!property) {
+        onWarning(`Line ${number} is not a NAME:value property and was skipped`, number);
+        continue;
+      }
+
+      if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+        if (current) {
+          throw this.error(`Missing END:VCARD for the contact starting on line ${current.line}`, current.line);
+        }
+        current = { line: number, properties: [] };
+      } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+        if (!current) {
+          throw this.error(`END:VCARD without BEGIN:VCARD on line ${number}`, number);
+        }
+        contacts.push(this.toRecord(current.properties));
+        current = null;
+      } else if (current) {
+        current.properties.push(property);
+      } else {
+        onWarning(`${property.name} is outside BEGIN:VCARD/END:VCARD and was skipped`, number);
+      }
+    }
+
+    if (current) {
+      throw this.error(`Missing END:VCARD for the contact starting on line ${current.line}`, current.line);
+    }
+    if (contacts.length === 0) {
+      throw new Error('No vCard found (expected BEGIN:VCARD)');
+    }
+
+    return contacts;
+  }
+
+  /**
+   * Splits content into logical lines, joining folded continuation lines
+   * @param {string} content - Raw .vcf content
+   * @returns {{number: number, text: string}[]} Unfolded lines with their first physical line number
+   */
+  static unfoldLines(content) {
+    const lines = [];
+
+    String(content)
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .forEach((text, index) => {
+        // A line starting with a space or tab continues the previous one
+        if (/^[ \t]/.test(text) && lines.length > 0) {
+          lines[lines.length - 1].text += text.slice(1);
+        } else {
+          lines.push({ number: index + 1, text });
+        }
+      });
+
+    return lines;
+  }
+
+  /**
+   * Parses one content line: [group.]NAME;PARAM=value;...:value
+   * @param {string} text - Unfolded line
+   * @returns {{name: string, params: Object<string, string[]>, value: string}|null} Property,
+   *   or null when the line has no name/value separator
+   */
+  static parseLine(text) {
+    // Find the first colon outside a quoted parameter value
+    let colon = -1;
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '"') {
+        inQuotes = !inQuotes;
+      } else if (text[i] === ':' && !inQuotes) {
+        colon = i;
+        break;
+      }
+    }
+
+    if (colon === -1) {
+      return null;
+    }
+
+    const [nameWithGroup, ...rawParams] = this.splitUnquoted(text.slice(0, colon), ';');
+    const name = nameWithGroup.split('.').pop().trim().toUpperCase();
+    const params = {};
+
+    rawParams.forEach(param => {
+      const equals = param.indexOf('=');
+      // vCard 2.1 style bare parameters (;WORK;CELL) are types
+      const key = equals === -1 ? 'TYPE' : param.slice(0, equals).trim().toUpperCase();
+      const values = equals === -1 ? [param] : this.splitUnquoted(param.slice(equals + 1), ',');
+
+      // A quoted list (TYPE="cell,voice") holds several values too
+      params[key] = (params[key] || []).concat(
+        values.flatMap(value => value.trim().replace(/^"|"$/g, '').toLowerCase().split(','))
+      );
+    });
+
+    return { name, params, value: text.slice(colon + 1) };
+  }
+
+  /**
+   * Builds an error that records the line it refers to
+   * @param {string} message - Error message
+   * @param {number} line - 1-based line number
+   * @returns {Error} Error with a `line` property
+   */
+  static error(message, line) {
+    const error = new Error(message);
+    error.line = line;
+    return error;
+  }
+
+  /**
+   * Splits text on a separator that is not inside double quotes
+   * @param {string} text - Text to split
+   * @param {string} separator - Separator character
+   * @returns {string[]} Parts
+   */
+  static splitUnquoted(text, separator) {
+    const parts = [''];
+    let inQuotes = false;
+
+    for (const char of text) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      }
+      if (char === separator && !inQuotes) {
+        parts.push('');
+      } else {
+        parts[parts.length - 1] += char;
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * Splits a structured value (N, ADR, ORG) on unescaped semicolons and unescapes each component
+   * @param {string} value - Raw property value
+   * @returns {string[]} Unescaped components
+   */
+  static splitComponents(value) {
+    return value.split(/(?<!\\);/).map(component => this.unescape(component));
+  }
+
+  /**
+   * Resolves vCard text escapes (\n, \, \; and \\)
+   * @param {string} value - Raw value
+   * @returns {string} Unescaped, trimmed value
+   */
+  static unescape(value) {
+    return value
+      .replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char))
+      .trim();
+  }
+
+  /**
+   * Ranks a property by preference: PREF=1 (4.0) or TYPE=pref (3.0) first
+   * @param {Object} property - Parsed property
+   * @returns {number} Lower is more preferred
+   */
+  static preference(property) {
+    const pref = parseInt((property.params.PREF || [])[0], 10);
+    if (!isNaN(pref)) {
+      return pref;
+    }
+    return (property.params.TYPE || []).includes('pref') ? 1 : 100;
+  }
+
+  /**
+   * Returns the most preferred property with the given name
+   * @param {Object[]} properties - Properties of one contact
+   * @param {string} name - Property name
+   * @returns {Object|undefined} Property, or undefined if the contact has none
+   */
+  static preferred(properties, name) {
+    return properties
+      .filter(property => property.name === name && property.value.trim() !== '')
+      .sort((a, b) => this.preference(a) - this.preference(b))[0];
+  }
+
+  /**
+   * Maps the properties of one contact onto canonical field keys
+   * @param {Object[]} properties - Parsed properties
+   * @returns {Object} Record
+   */
+  static toRecord(properties) {
+    const record = {};
+    const set = (field, value) => {
+      if (value && record[field] === undefined) {
+        record[field] = value;
+      }
+    };
+
+    const n = properties.find(property => property.name === 'N');
+    if (n) {
+      const [family, given] = this.splitComponents(n.value);
+      set('firstName', given);
+      set('lastName', family);
+    }
+
+    const fn = properties.find(property => property.name === 'FN');
+    if (fn) {
+      const fullName = this.unescape(fn.value);
+      set('fullName', fullName);
+
+      // Fall back to splitting the formatted name when N is missing
+      const parts = fullName.split(/\s+/);
+      if (parts.length > 1) {
+        set('firstName', parts[0]);
+        set('lastName', parts.slice(1).join(' '));
+      }
+    }
+
+    const email = this.preferred(properties, 'EMAIL');
+    if (email) {
+      set('email', this.unescape(email.value).replace(/^mailto:/i, ''));
+    }
+
+    properties
+      .filter(property => property.name === 'TEL')
+      .sort((a, b) => this.preference(a) - this.preference(b))
+      .forEach(property => {
+        const types = property.params.TYPE || [];
+        const { field } = this.PHONE_FIELDS.find(entry =>
+          entry.types.length === 0 || entry.types.some(type => types.includes(type))
+        );
+        if (field) {
+          set(field, this.unescape(property.value).replace(/^tel:/i, ''));
+        }
+      });
+    // Forms usually ask for one "phone"; use the mobile number when there is no other
+    set('phone', record.mobile);
+
+    const adr = this.preferred(properties, 'ADR');
+    if (adr) {
+      const components = {};
+      this.splitComponents(adr.value).forEach((value, index) => {
+        components[this.ADR_COMPONENTS[index]] = value;
+      });
+      set('street', [components.street, components.extended, components.poBox].filter(Boolean).join(', '));
+      ['city', 'state', 'zipCode', 'country'].forEach(field => set(field, components[field]));
+    }
+
+    const org = properties.find(property => property.name === 'ORG');
+    if (org) {
+      const [company, department] = this.splitComponents(org.value);
+      set('company', company);
+      set('department', department);
+    }
+
+    const title = properties.find(property => property.name === 'TITLE');
+    if (title) {
+      set('jobTitle', this.unescape(title.value));
+    }
+
+    properties
+      .filter(property => property.name === 'URL')
+      .sort((a, b) => this.preference(a) - this.preference(b))
+      .forEach(property => {
+        const url = this.unescape(property.value);
+        set(/linkedin\.com/i.test(url) ? 'linkedIn' : 'website', url);
+      });
+
+    const bday = properties.find(property => property.name === 'BDAY');
+    if (bday) {
+      set('dateOfBirth', this.normalizeDate(this.unescape(bday.value)));
+    }
+
+    const gender = properties.find(property => property.name === 'GENDER');
+    if (gender) {
+      const [sex, identity] = this.splitComponents(gender.value);
+      set('gender', identity || this.GENDERS[sex.toUpperCase()]);
+    }
+
+    const note = properties.find(property => property.name === 'NOTE');
+    if (note) {
+      set('comments', this.unescape(note.value));
+    }
+
+    return record;
+  }
+
+  /**
+   * Normalizes a BDAY value to YYYY-MM-DD when it holds a full date
+   * Accepts 19850412, 1985-04-12 and date-times; other values (e.g. --0412) are kept as written
+   * @param {string} value - BDAY value
+   * @returns {string} Normalized date
+   */
+  static normalizeDate(value) {
+    const match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})(T.*)?$/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+  }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VCardParser;
+}
+
+// Make VCardParser available globally for extension context
+if (typeof window !== 'undefined') {
+  window.VCardParser = VCardParser;
+}
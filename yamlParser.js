@@ -0,0 +1,627 @@
+/**
+ * YamlParser reads the block-style YAML used for profile data files:
+ * nested maps, lists, quoted and plain scalars, single-line flow collections
+ * and literal (|) or folded (>) block scalars for long text such as bios.
+ * Anchors, aliases, tags and multiple documents are not supported.
+ */
+class YamlParser {
+  /**
+   * Parses YAML content into plain objects, arrays and scalars
+   * @param {string} content - Raw YAML content
+   * @returns {*} Parsed value (null for an empty document)
+   * @throws {Error} Syntax errors, with `line` and `column` properties (1-based)
+   */
+  static parse(content) {
+    return new YamlParser(content).parseDocument();
+  }
+
+  /**
+   * Builds a syntax error that carries its position
+   * @param {string} message - Error description
+   * @param {number} line - 1-based line number
+   * @param {number} column - 1-based column number
+   * @returns {Error} Error with line and column properties
+   */
+  static error(message, line, column) {
+    const error = new Error(`${message} at line ${line}, column ${column}`);
+    error.line = line;
+    error.column = column;
+    return error;
+  }
+
+  /**
+   * @param {string} content - Raw YAML content
+   */
+  constructor(content) {
+    this.lines = String(content)
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map((text, index) => {
+        const indent = text.length - text.replace(/^ +/, '').length;
+        return { text, number: index + 1, indent, content: text.slice(indent) };
+      });
+    this.index = 0;
+    this.started = false;
+    this.ended = false;
+  }
+
+  /**
+   * Moves to the next line with content and returns it without consuming it
+   * Skips blank lines, comments and a leading document marker
+   * @returns {Object|null} Line with text, number, indent and content, or null at the end
+   */
+  peek() {
+    while (!this.ended && this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      const trimmed = line.content.trim();
+
+      if (trimmed === '' || trimmed.startsWith('#')) {
+        this.index++;
+        continue;
+      }
+
+      if (line.content.startsWith('\t')) {
+        throw YamlParser.error('Tabs are not allowed in indentation', line.number, line.indent + 1);
+      }
+
+      if (line.indent === 0 && /^---(\s|$)/.test(line.content)) {
+        if (this.started) {
+          throw YamlParser.error('Multiple documents are not supported', line.number, 1);
+        }
+        if (line.content.slice(3).trim() !== '' && !line.content.slice(3).trim().startsWith('#')) {
+          throw YamlParser.error('Content after the document marker is not supported', line.number, 5);
+        }
+        this.index++;
+        continue;
+      }
+
+      if (line.indent === 0 && /^\.\.\.(\s|$)/.test(line.content)) {
+        this.ended = true;
+        break;
+      }
+
+      this.started = true;
+      return line;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parses the whole document and checks nothing is left over
+   * @returns {*} Parsed value
+   */
+  parseDocument() {
+    const first = this.peek();
+    if (!first) {
+      return null;
+    }
+
+    const value = this.parseBlock(first.indent);
+
+    const rest = this.peek();
+    if (rest) {
+      throw YamlParser.error('Unexpected content', rest.number, rest.indent + 1);
+    }
+
+    return value;
+  }
+
+  /**
+   * Parses a mapping, sequence or lone scalar starting at the current line
+   * @param {number} indent - Indentation of the block
+   * @returns {*} Parsed value
+   */
+  parseBlock(indent) {
+    const line = this.peek();
+
+    if (this.isSequenceItem(line.content)) {
+      return this.parseSequence(indent);
+    }
+    if (this.findMappingColon(line.content) !== -1) {
+      return this.parseMapping(indent);
+    }
+
+    this.index++;
+    return this.parseValue(line.content, line, line.indent, indent - 1, false);
+  }
+
+  /**
+   * Checks whether line content starts a list item
+   * @param {string} content - Line content without indentation
+   * @returns {boolean} True for "- item" or a bare "-"
+   */
+  isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+  }
+
+  /**
+   * Finds the colon that separates a mapping key from its value
+   * @param {string} content - Line content without indentation
+   * @returns {number} Index of the colon, or -1 if the line is not a mapping entry
+   */
+  findMappingColon(content) {
+    if (content.startsWith('[') || content.startsWith('{')) {
+      return -1;
+    }
+
+    let start = 0;
+    if (content[0] === '"' || content[0] === "'") {
+      const end = this.findQuoteEnd(content, 0);
+      if (end === -1) {
+        return -1;
+      }
+      start = end + 1;
+      while (content[start] === ' ') {
+        start++;
+      }
+      return content[start] === ':' && (start + 1 === content.length || content[start + 1] === ' ') ? start : -1;
+    }
+
+    for (let i = start; i < content.length; i++) {
+      if (content[i] === '#' && (i === 0 || content[i - 1] === ' ')) {
+        return -1;
+      }
+      if (content[i] === ':' && (i + 1 === content.length || content[i + 1] === ' ')) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Finds the closing quote of a quoted scalar
+   * @param {string} text - Text containing the scalar
+   * @param {number} start - Index of the opening quote
+   * @returns {number} Index of the closing quote, or -1 if unterminated
+   */
+  findQuoteEnd(text, start) {
+    const quote = text[start];
+
+    for (let i = start + 1; i < text.length; i++) {
+      if (quote === "'" && text[i] === "'") {
+        if (text[i + 1] === "'") {
+          i++;
+          continue;
+        }
+        return i;
+      }
+      if (quote === '"') {
+        if (text[i] === '\\') {
+          i++;
+          continue;
+        }
+        if (text[i] === '"') {
+          return i;
+        }
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Parses a block mapping whose keys sit at the given indentation
+   * @param {number} indent - Indentation of the keys
+   * @returns {Object} Parsed mapping
+   */
+  parseMapping(indent) {
+    const result = {};
+
+    for (let line = this.peek(); line && line.indent >= indent; line = this.peek()) {
+      if (line.indent > indent) {
+        throw YamlParser.error('Unexpected indentation', line.number, line.indent + 1);
+      }
+      if (this.isSequenceItem(line.content)) {
+        throw YamlParser.error('Expected a "key: value" entry but found a list item', line.number, line.indent + 1);
+      }
+
+      const colon = this.findMappingColon(line.content);
+      if (colon === -1) {
+        throw YamlParser.error('Expected a "key: value" entry', line.number, line.indent + 1);
+      }
+
+      const key = this.parseKey(line.content.slice(0, colon), line);
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw YamlParser.error(`Duplicate key "${key}"`, line.number, line.indent + 1);
+      }
+
+      this.index++;
+      const value = this.parseValue(line.content.slice(colon + 1), line, line.indent + colon + 1, indent, true);
+      Object.defineProperty(result, key, { value, enumerable: true, writable: true, configurable: true });
+    }
+
+    return result;
+  }
+
+  /**
+   * Parses a mapping key
+   * @param {string} text - Raw key text before the colon
+   * @param {Object} line - Line the key is on
+   * @returns {string} Key
+   */
+  parseKey(text, line) {
+    const key = text.trim();
+    const column = line.indent + 1;
+
+    if (key[0] === '"' || key[0] === "'") {
+      return this.parseQuoted(key, line, column).value;
+    }
+    if (key === '' || key === '?' || key.startsWith('? ')) {
+      throw YamlParser.error('Complex or empty keys are not supported', line.number, column);
+    }
+    if (/^[&*!]/.test(key) || key === '<<') {
+      throw YamlParser.error('Anchors, aliases, tags and merge keys are not supported', line.number, column);
+    }
+
+    return key;
+  }
+
+  /**
+   * Parses a block sequence whose dashes sit at the given indentation
+   * @param {number} indent - Indentation of the dashes
+   * @returns {Array} Parsed list
+   */
+  parseSequence(indent) {
+    const result = [];
+
+    for (let line = this.peek(); line && line.indent >= indent; line = this.peek()) {
+      if (line.indent > indent) {
+        throw YamlParser.error('Unexpected indentation', line.number, line.indent + 1);
+      }
+      if (!this.isSequenceItem(line.content)) {
+        break;
+      }
+
+      const rest = line.content.slice(1);
+      const item = rest.trimStart();
+      const itemIndent = line.indent + 1 + rest.length - item.length;
+
+      if (item !== '' && (this.isSequenceItem(item) || this.findMappingColon(item) !== -1)) {
+        // A nested block starting on the dash line: re-read the line from the item's column
+        line.indent = itemIndent;
+        line.content = item;
+        result.push(this.parseBlock(itemIndent));
+      } else {
+        this.index++;
+        result.push(this.parseValue(rest, line, line.indent + 1, indent, false));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parses the value after "key:" or "- ", which may continue on the following lines
+   * @param {string} rest - Text after the indicator
+   * @param {Object} line - Line the value starts on (already consumed)
+   * @param {number} offset - 0-based column where rest starts
+   * @param {number} parentIndent - Indentation of the owning key or dash
+   * @param {boolean} inMapping - Whether the owner is a mapping key (allows a list at the same indentation)
+   * @returns {*} Parsed value
+   */
+  parseValue(rest, line, offset, parentIndent, inMapping) {
+    const text = rest.trim();
+    const column = offset + rest.length - rest.trimStart().length + 1;
+
+    if (text === '' || text.startsWith('#')) {
+      const next = this.peek();
+      if (next && (next.indent > parentIndent ||
+          (inMapping && next.indent === parentIndent && this.isSequenceItem(next.content)))) {
+        return this.parseBlock(next.indent);
+      }
+      return null;
+    }
+
+    if (text[0] === '|' || text[0] === '>') {
+      return this.parseBlockScalar(text, line, column, parentIndent);
+    }
+    if (text[0] === '[' || text[0] === '{') {
+      return this.parseFlow(text, line, column);
+    }
+    if (/^[&*!]/.test(text)) {
+      throw YamlParser.error('Anchors, aliases and tags are not supported', line.number, column);
+    }
+    if (text[0] === '"' || text[0] === "'") {
+      const { value, end } = this.parseQuoted(text, line, column);
+      const after = text.slice(end).trim();
+      if (after !== '' && !after.startsWith('#')) {
+        throw YamlParser.error('Unexpected text after quoted value', line.number, column + end);
+      }
+      return value;
+    }
+
+    const plain = text.replace(/\s+#.*$/, '');
+    const mappingIndicator = plain.search(/: |:$/);
+    if (mappingIndicator !== -1) {
+      throw YamlParser.error('Nested mappings must start on a new line', line.number, column + mappingIndicator);
+    }
+
+    const next = this.peek();
+    if (next && next.indent > parentIndent && !this.isSequenceItem(next.content) &&
+        this.findMappingColon(next.content) === -1) {
+      throw YamlParser.error('Multi-line plain values are not supported; use a | or > block', next.number, next.indent + 1);
+    }
+
+    return this.resolvePlain(plain);
+  }
+
+  /**
+   * Parses a single- or double-quoted scalar at the start of text
+   * @param {string} text - Text starting with the opening quote
+   * @param {Object} line - Line the scalar is on
+   * @param {number} column - 1-based column of the opening quote
+   * @returns {{value: string, end: number}} Unquoted value and index just past the closing quote
+   */
+  parseQuoted(text, line, column) {
+    const end = this.findQuoteEnd(text, 0);
+    if (end === -1) {
+      throw YamlParser.error('Unterminated quoted string (quoted values must fit on one line)', line.number, column);
+    }
+
+    const inner = text.slice(1, end);
+    if (text[0] === "'") {
+      return { value: inner.replace(/''/g, "'"), end: end + 1 };
+    }
+
+    const escapes = { '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', 'n': '\n', 'v': '\v', 'f': '\f',
+      'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0' };
+    const hexLengths = { 'x': 2, 'u': 4, 'U': 8 };
+    let value = '';
+
+    for (let i = 0; i < inner.length; i++) {
+      if (inner[i] !== '\\') {
+        value += inner[i];
+        continue;
+      }
+
+      const code = inner[i + 1];
+      if (code in escapes) {
+        value += escapes[code];
+        i++;
+      } else if (code in hexLengths) {
+        const hex = inner.slice(i + 2, i + 2 + hexLengths[code]);
+        if (!new RegExp(`^[0-9a-fA-F]{${hexLengths[code]}}$`).test(hex)) {
+          throw YamlParser.error(`Invalid \\${code} escape`, line.number, column + i + 1);
+        }
+        value += String.fromCodePoint(parseInt(hex, 16));
+        i += 1 + hexLengths[code];
+      } else {
+        throw YamlParser.error(`Invalid escape "\\${code || ''}"`, line.number, column + i + 1);
+      }
+    }
+
+    return { value, end: end + 1 };
+  }
+
+  /**
+   * Parses a literal (|) or folded (>) block scalar from the lines below its header
+   * @param {string} header - Indicator with optional chomping (+/-) and indentation digit
+   * @param {Object} line - Header line (already consumed)
+   * @param {number} column - 1-based column of the indicator
+   * @param {number} parentIndent - Indentation of the owning key or dash
+   * @returns {string} Block text
+   */
+  parseBlockScalar(header, line, column, parentIndent) {
+    const match = header.match(/^([|>])([+-]?)([1-9]?)([+-]?)\s*(#.*)?$/);
+    if (!match || (match[2] && match[4])) {
+      throw YamlParser.error('Invalid block scalar header', line.number, column);
+    }
+
+    const folded = match[1] === '>';
+    const chomping = match[2] || match[4];
+    let contentIndent = match[3] ? Math.max(parentIndent, 0) + Number(match[3]) : null;
+    const lines = [];
+
+    while (this.index < this.lines.length) {
+      const raw = this.lines[this.index];
+      if (raw.text.trim() === '') {
+        lines.push('');
+        this.index++;
+        continue;
+      }
+
+      if (contentIndent === null) {
+        if (raw.indent <= parentIndent) {
+          break;
+        }
+        contentIndent = raw.indent;
+      }
+      if (raw.indent < contentIndent) {
+        break;
+      }
+
+      lines.push(raw.text.slice(contentIndent));
+      this.index++;
+    }
+
+    // Trailing blank lines only matter for "keep" chomping
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    const body = folded ? this.foldLines(lines) : lines.join('\n');
+    if (body === '' || chomping === '-') {
+      return body;
+    }
+    return chomping === '+' ? body + '\n'.repeat(trailing + 1) : body + '\n';
+  }
+
+  /**
+   * Folds block scalar lines: single line breaks become spaces, blank lines become newlines,
+   * and more-indented lines keep their line breaks
+   * @param {string[]} lines - Lines with the block indentation removed
+   * @returns {string} Folded text
+   */
+  foldLines(lines) {
+    let text = '';
+    let previous = null;
+    let blanks = 0;
+
+    lines.forEach(current => {
+      if (current === '') {
+        blanks++;
+        return;
+      }
+
+      if (previous === null || blanks > 0) {
+        text += '\n'.repeat(blanks);
+      } else {
+        text += /^\s/.test(current) || /^\s/.test(previous) ? '\n' : ' ';
+      }
+
+      text += current;
+      previous = current;
+      blanks = 0;
+    });
+
+    return text;
+  }
+
+  /**
+   * Parses a flow collection ([a, b] or {a: b}) that fits on one line
+   * @param {string} text - Text starting with [ or {
+   * @param {Object} line - Line the collection is on
+   * @param {number} column - 1-based column of the opening bracket
+   * @returns {Array|Object} Parsed collection
+   */
+  parseFlow(text, line, column) {
+    let pos = 0;
+
+    const fail = (message) => {
+      throw YamlParser.error(message, line.number, column + pos);
+    };
+    const skipSpaces = () => {
+      while (text[pos] === ' ') {
+        pos++;
+      }
+    };
+    const readPlain = (stop) => {
+      const start = pos;
+      while (pos < text.length && !stop.test(text.slice(pos))) {
+        pos++;
+      }
+      return text.slice(start, pos).trim();
+    };
+
+    const readNode = (inMap) => {
+      skipSpaces();
+      const char = text[pos];
+
+      if (char === '[') {
+        pos++;
+        const items = [];
+        for (;;) {
+          skipSpaces();
+          if (pos >= text.length) {
+            fail('Unterminated flow sequence (flow collections must fit on one line)');
+          }
+          if (text[pos] === ']') {
+            pos++;
+            return items;
+          }
+          items.push(readNode(false));
+          skipSpaces();
+          if (text[pos] === ',') {
+            pos++;
+          } else if (text[pos] !== ']') {
+            fail('Expected "," or "]"');
+          }
+        }
+      }
+
+      if (char === '{') {
+        pos++;
+        const map = {};
+        for (;;) {
+          skipSpaces();
+          if (pos >= text.length) {
+            fail('Unterminated flow mapping (flow collections must fit on one line)');
+          }
+          if (text[pos] === '}') {
+            pos++;
+            return map;
+          }
+          const key = text[pos] === '"' || text[pos] === "'"
+            ? readNode(true)
+            : readPlain(/^(:(\s|$|[,}])|[,}])/);
+          if (key === '' || key === null) {
+            fail('Expected a key');
+          }
+          skipSpaces();
+          let value = null;
+          if (text[pos] === ':') {
+            pos++;
+            value = readNode(true);
+          }
+          Object.defineProperty(map, String(key), { value, enumerable: true, writable: true, configurable: true });
+          skipSpaces();
+          if (text[pos] === ',') {
+            pos++;
+          } else if (text[pos] !== '}') {
+            fail('Expected "," or "}"');
+          }
+        }
+      }
+
+      if (char === '"' || char === "'") {
+        const { value, end } = this.parseQuoted(text.slice(pos), line, column + pos);
+        pos += end;
+        return value;
+      }
+
+      if (/^[&*!]/.test(char || '')) {
+        fail('Anchors, aliases and tags are not supported');
+      }
+
+      return this.resolvePlain(readPlain(inMap ? /^[,}\]]/ : /^[,\]}]/));
+    };
+
+    const value = readNode(false);
+    skipSpaces();
+    if (pos < text.length && !text.slice(pos).startsWith('#')) {
+      fail('Unexpected text after flow collection');
+    }
+
+    return value;
+  }
+
+  /**
+   * Resolves a plain scalar to null, a boolean, a number or a string
+   * Numbers with leading zeros (zip codes, phone numbers) stay strings
+   * @param {string} text - Plain scalar text without comments
+   * @returns {null|boolean|number|string} Resolved value
+   */
+  resolvePlain(text) {
+    if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) {
+      return null;
+    }
+    if (/^(true|True|TRUE)$/.test(text)) {
+      return true;
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+      return false;
+    }
+    if (/^[-+]?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text)) {
+      const number = Number(text);
+      if (Number.isFinite(number) && (!Number.isInteger(number) || Number.isSafeInteger(number))) {
+        return number;
+      }
+    }
+    return text;
+  }
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = YamlParser;
+}
+
+// Make YamlParser available globally for extension context
+if (typeof window !== 'undefined') {
+  window.YamlParser = YamlParser;
+}